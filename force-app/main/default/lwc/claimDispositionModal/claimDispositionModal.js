@@ -0,0 +1,168 @@
+import { api, wire } from 'lwc';
+import LightningModal from 'lightning/modal';
+import getDispositionSettings from '@salesforce/apex/LeadQueueService.getDispositionSettings';
+import releaseWithDisposition from '@salesforce/apex/LeadQueueService.releaseWithDisposition';
+import releaseUserAssignments from '@salesforce/apex/LeadQueueService.releaseUserAssignments';
+import { SharedUtils } from 'c/sharedUtils';
+import { LABELS, formatLabel } from 'c/leadQueueLabels';
+
+const MINUTES_PER_HOUR = 60;
+const MINUTES_PER_DAY = 1440;
+
+/**
+ * Release dialog: the agent picks a call disposition for each claim, which logs a completed call and
+ * applies the disposition's status and next call time before the claim is released. Supervisors may
+ * release without logging. Closes with { releasedRecordIds }, which lists claims released before a
+ * cancel as well.
+ */
+export default class ClaimDispositionModal extends LightningModal {
+    @api claims = [];
+    labels = LABELS;
+    dispositions = [];
+    canBypass = false;
+    selections = {};
+    rowErrors = {};
+    releasedRecordIds = [];
+    loadError = null;
+    isSaving = false;
+
+    @wire(getDispositionSettings)
+    wiredDispositionSettings({ data, error }) {
+        if (data) {
+            this.dispositions = data.dispositions || [];
+            this.canBypass = Boolean(data.canBypass);
+            this.loadError = null;
+        } else if (error) {
+            console.error('Failed to load call dispositions:', error);
+            this.dispositions = [];
+            this.loadError = formatLabel(LABELS.dispositionsLoadFailed, SharedUtils.getErrorMessage(error));
+        }
+    }
+
+    handleDispositionChange(event) {
+        this.updateSelection(event.target.dataset.recordId, { disposition: event.detail.value || null });
+    }
+
+    handleCommentsChange(event) {
+        this.updateSelection(event.target.dataset.recordId, { comments: event.detail.value || '' });
+    }
+
+    updateSelection(recordId, changes) {
+        this.selections = {
+            ...this.selections,
+            [recordId]: { ...(this.selections[recordId] || {}), ...changes }
+        };
+    }
+
+    handleCancel() {
+        this.close({ releasedRecordIds: this.releasedRecordIds });
+    }
+
+    async handleRelease() {
+        await this.releasePending(recordId => {
+            const selection = this.selections[recordId] || {};
+            return releaseWithDisposition({
+                recordId,
+                disposition: selection.disposition,
+                comments: (selection.comments || '').trim()
+            });
+        });
+    }
+
+    async handleBypass() {
+        await this.releasePending(async recordId => {
+            await releaseUserAssignments({ recordId });
+            return { success: true };
+        });
+    }
+
+    /**
+     * Release the remaining claims one at a time; claims that fail stay in the dialog with their error
+     */
+    async releasePending(release) {
+        this.isSaving = true;
+        const rowErrors = {};
+        try {
+            for (const { recordId } of this.pendingClaims) {
+                try {
+                    const result = await release(recordId);
+                    if (result && result.success) {
+                        this.releasedRecordIds = [...this.releasedRecordIds, recordId];
+                    } else {
+                        rowErrors[recordId] = (result && result.message) || LABELS.errorGeneric;
+                    }
+                } catch (error) {
+                    rowErrors[recordId] = formatLabel(LABELS.releaseFailed, SharedUtils.getErrorMessage(error));
+                }
+            }
+        } finally {
+            this.rowErrors = rowErrors;
+            this.isSaving = false;
+        }
+        if (!this.pendingClaims.length) {
+            this.close({ releasedRecordIds: this.releasedRecordIds });
+        }
+    }
+
+    describeDisposition(value) {
+        const disposition = this.dispositions.find(option => option.value === value);
+        if (!disposition) {
+            return '';
+        }
+        const effects = [];
+        if (disposition.newStatus) {
+            effects.push(formatLabel(LABELS.statusValue, disposition.newStatus));
+        }
+        if (disposition.newQualificationStatus) {
+            effects.push(formatLabel(LABELS.qualificationValue, disposition.newQualificationStatus));
+        }
+        if (disposition.nextCallMinutes) {
+            effects.push(formatLabel(LABELS.nextCallIn, this.formatMinutes(disposition.nextCallMinutes)));
+        }
+        return effects.join(' · ');
+    }
+
+    formatMinutes(minutes) {
+        if (minutes % MINUTES_PER_DAY === 0) {
+            const days = minutes / MINUTES_PER_DAY;
+            return days === 1 ? LABELS.oneDay : formatLabel(LABELS.days, days);
+        }
+        if (minutes % MINUTES_PER_HOUR === 0) {
+            const hours = minutes / MINUTES_PER_HOUR;
+            return hours === 1 ? LABELS.oneHour : formatLabel(LABELS.hours, hours);
+        }
+        return minutes === 1 ? LABELS.oneMinute : formatLabel(LABELS.minutes, minutes);
+    }
+
+    get pendingClaims() {
+        return (this.claims || []).filter(claim => !this.releasedRecordIds.includes(claim.recordId));
+    }
+
+    get rows() {
+        return this.pendingClaims.map(claim => {
+            const selection = this.selections[claim.recordId] || {};
+            return {
+                recordId: claim.recordId,
+                displayName: claim.displayName || LABELS.record,
+                disposition: selection.disposition || null,
+                comments: selection.comments || '',
+                effect: this.describeDisposition(selection.disposition),
+                error: this.rowErrors[claim.recordId] || null
+            };
+        });
+    }
+
+    get headerLabel() {
+        const count = (this.claims || []).length;
+        return count === 1 ? LABELS.logCallAndRelease : formatLabel(LABELS.logCallsAndReleaseRecords, count);
+    }
+
+    get releaseButtonLabel() {
+        return this.isSaving ? LABELS.releasing : LABELS.logCallAndRelease;
+    }
+
+    get isReleaseDisabled() {
+        return this.isSaving || !this.dispositions.length ||
+            this.pendingClaims.some(claim => !(this.selections[claim.recordId] || {}).disposition);
+    }
+}
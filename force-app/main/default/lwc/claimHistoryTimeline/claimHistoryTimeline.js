@@ -0,0 +1,141 @@
+import { LightningElement, api } from 'lwc';
+import getClaimHistory from '@salesforce/apex/LeadQueueClaimHistoryService.getClaimHistory';
+import { SharedUtils } from 'c/sharedUtils';
+import { LABELS, formatLabel } from 'c/leadQueueLabels';
+
+const ALL_AGENTS = '';
+
+const OUTCOME_ICONS = {
+    Released: 'utility:unlock',
+    Transferred: 'utility:change_owner',
+    Reassigned: 'utility:change_owner',
+    'Auto-Released': 'utility:refresh',
+    'Force Released': 'utility:ban',
+    Skipped: 'utility:skip',
+    Rescheduled: 'utility:event',
+    Expired: 'utility:clock'
+};
+
+// Outcome picklist values are stored in English; show them in the user's language
+const OUTCOME_LABELS = {
+    Released: LABELS.outcomeReleased,
+    Transferred: LABELS.outcomeTransferred,
+    Reassigned: LABELS.outcomeReassigned,
+    'Auto-Released': LABELS.outcomeAutoReleased,
+    'Force Released': LABELS.outcomeForceReleased,
+    Skipped: LABELS.outcomeSkipped,
+    Rescheduled: LABELS.outcomeRescheduled,
+    Expired: LABELS.outcomeExpired
+};
+
+/**
+ * Claim history for one intake, newest first, filterable by agent and claim date.
+ * The parent calls refresh() when the record's claims change.
+ */
+export default class ClaimHistoryTimeline extends LightningElement {
+    @api recordId;
+    labels = LABELS;
+    entries = [];
+    agentOptions = [];
+    agentId = ALL_AGENTS;
+    fromDate = null;
+    toDate = null;
+    isLoading = false;
+    errorMessage = '';
+
+    connectedCallback() {
+        this.loadHistory();
+    }
+
+    @api
+    refresh() {
+        return this.loadHistory();
+    }
+
+    async loadHistory() {
+        if (!this.recordId) {
+            return;
+        }
+        this.isLoading = true;
+        try {
+            const history = await getClaimHistory({
+                recordId: this.recordId,
+                agentId: this.agentId || null,
+                fromDate: this.fromDate,
+                toDate: this.toDate
+            });
+            this.entries = (history && Array.isArray(history.entries)) ? history.entries : [];
+            this.agentOptions = (history && Array.isArray(history.agentOptions)) ? history.agentOptions : [];
+            this.errorMessage = '';
+        } catch (error) {
+            this.entries = [];
+            this.errorMessage = formatLabel(LABELS.claimHistoryLoadFailed, SharedUtils.getErrorMessage(error));
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleAgentChange(event) {
+        this.agentId = event.detail.value || ALL_AGENTS;
+        this.loadHistory();
+    }
+
+    handleFromDateChange(event) {
+        this.fromDate = event.detail.value || null;
+        this.loadHistory();
+    }
+
+    handleToDateChange(event) {
+        this.toDate = event.detail.value || null;
+        this.loadHistory();
+    }
+
+    handleClearFilters() {
+        this.agentId = ALL_AGENTS;
+        this.fromDate = null;
+        this.toDate = null;
+        this.loadHistory();
+    }
+
+    get agentFilterOptions() {
+        return [{ label: LABELS.allUsers, value: ALL_AGENTS }, ...this.agentOptions];
+    }
+
+    get hasFilters() {
+        return Boolean(this.agentId || this.fromDate || this.toDate);
+    }
+
+    get isClearDisabled() {
+        return !this.hasFilters;
+    }
+
+    get hasEntries() {
+        return this.entries.length > 0;
+    }
+
+    get emptyMessage() {
+        return this.hasFilters ? LABELS.noMatchingClaims : LABELS.notClaimedYet;
+    }
+
+    get timelineItems() {
+        return this.entries.map(entry => {
+            const agentName = entry.agentName || LABELS.unknownUser;
+            const outcome = entry.outcome || 'Released';
+            const details = [formatLabel(LABELS.heldFor, SharedUtils.formatDuration(entry.heldSeconds))];
+            if (entry.releasedAt) {
+                details.push(formatLabel(LABELS.endedAt, SharedUtils.formatCallDateTime(entry.releasedAt)));
+            }
+            if (entry.releasedByName && entry.releasedByName !== entry.agentName) {
+                details.push(formatLabel(LABELS.endedBy, entry.releasedByName));
+            }
+            return {
+                ...entry,
+                title: formatLabel(LABELS.claimedAt, agentName, SharedUtils.formatCallDateTime(entry.claimedAt)),
+                outcomeLabel: entry.isActive ? LABELS.outcomeActive : (OUTCOME_LABELS[outcome] || outcome),
+                detailLabel: details.join(' · '),
+                iconName: entry.isActive ? 'utility:user' : (OUTCOME_ICONS[outcome] || 'utility:unlock'),
+                itemClass: entry.isActive ? 'history-item history-item-active' : 'history-item'
+            };
+        });
+    }
+}
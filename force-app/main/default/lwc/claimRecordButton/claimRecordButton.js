@@ -1,37 +1,69 @@
-import { LightningElement, api } from 'lwc';
+import { LightningElement, api, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
 import { subscribe, unsubscribe, onError } from 'lightning/empApi';
+import { MessageContext } from 'lightning/messageService';
+import USER_ID from '@salesforce/user/Id';
 import assignRecord from '@salesforce/apex/LeadQueueService.assignRecord';
 import releaseUserAssignments from '@salesforce/apex/LeadQueueService.releaseUserAssignments';
 import getUserAssignedRecordIds from '@salesforce/apex/LeadQueueService.getUserAssignedRecordIds';
 import isCacheConfigured from '@salesforce/apex/LeadQueueService.isCacheConfigured';
-import { SharedUtils } from 'c/sharedUtils';
+import getClaimSettings from '@salesforce/apex/LeadQueueService.getClaimSettings';
+import getUserClaimExpirations from '@salesforce/apex/LeadQueueService.getUserClaimExpirations';
+import { SharedUtils, ClaimExpiryTracker, ClaimExpiryNotifier, QueueMessenger, QUEUE_ACTIONS } from 'c/sharedUtils';
+import { LABELS, formatLabel } from 'c/leadQueueLabels';
 
 export default class ClaimRecordButton extends NavigationMixin(LightningElement) {
     @api recordId;
+    labels = LABELS;
+    @wire(MessageContext) messageContext;
     isAssigning = false;
     isReleasing = false;
+    isExtending = false;
+    showTransferForm = false;
+    showSkipForm = false;
     showSuccess = false;
     assignedRecordIds = [];
+    maxClaims = 1;
+    claimExpirations = {};
+    claimExpiryTracker = new ClaimExpiryTracker();
+    claimExpiryNotifier = new ClaimExpiryNotifier(this);
+    currentTime = Date.now();
+    timerInterval;
     isCacheReady = true;
     eventChannel = '/event/LeadQueueRefresh__e';
     empSubscription;
     eventRefreshTimeout;
+    queueMessenger;
 
     // Check assignments on component load
     connectedCallback() {
         this.subscribeToRefreshEvents();
+        this.queueMessenger = new QueueMessenger(this.messageContext);
+        this.queueMessenger.subscribe(message => this.handleQueueMessage(message));
         this.checkCacheHealth();
         this.checkAssignments();
+        this.loadClaimSettings();
+        this.timerInterval = setInterval(() => {
+            this.currentTime = Date.now();
+            this.checkClaimExpiryWarnings();
+        }, 1000);
     }
 
     disconnectedCallback() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
         if (this.eventRefreshTimeout) {
             clearTimeout(this.eventRefreshTimeout);
             this.eventRefreshTimeout = null;
         }
         this.unsubscribeFromRefreshEvents();
+        if (this.queueMessenger) {
+            this.queueMessenger.unsubscribe();
+            this.queueMessenger = null;
+        }
     }
 
     async subscribeToRefreshEvents() {
@@ -60,6 +92,37 @@ export default class ClaimRecordButton extends NavigationMixin(LightningElement)
         });
     }
 
+    /**
+     * Queue activity from the utility bar, console tabs or other record pages. The user's own releases
+     * free up a claim slot right away; everything else is picked up by the refresh.
+     */
+    handleQueueMessage(message) {
+        const recordIds = Array.isArray(message.recordIds) ? message.recordIds : [];
+        if (message.action === QUEUE_ACTIONS.ALERT || message.action === QUEUE_ACTIONS.TRANSFER_RECEIVED
+            || this.claimExpiryNotifier.handleQueueMessage(message)) {
+            return;
+        }
+        if (message.userId === USER_ID) {
+            switch (message.action) {
+                case QUEUE_ACTIONS.RELEASE:
+                case QUEUE_ACTIONS.TRANSFER:
+                case QUEUE_ACTIONS.SKIP:
+                case QUEUE_ACTIONS.RESCHEDULE:
+                    this.assignedRecordIds = this.assignedRecordIds.filter(recordId => !recordIds.includes(recordId));
+                    break;
+                default:
+                    break;
+            }
+        }
+        this.scheduleEventRefresh();
+    }
+
+    publishQueueAction(action, details) {
+        if (this.queueMessenger) {
+            this.queueMessenger.publish(action, [this.recordId], details);
+        }
+    }
+
     scheduleEventRefresh() {
         if (this.eventRefreshTimeout) {
             return;
@@ -74,6 +137,7 @@ export default class ClaimRecordButton extends NavigationMixin(LightningElement)
             } else {
                 this.assignedRecordIds = [];
             }
+            this.refreshHistory();
         }, 500);
     }
 
@@ -91,24 +155,131 @@ export default class ClaimRecordButton extends NavigationMixin(LightningElement)
 
     async checkAssignments() {
         try {
-            const assignedIds = await getUserAssignedRecordIds();
+            const [assignedIds, claimExpirations] = await Promise.all([
+                getUserAssignedRecordIds(),
+                getUserClaimExpirations()
+            ]);
             this.assignedRecordIds = assignedIds;
+            this.claimExpirations = claimExpirations || {};
         } catch (error) {
             console.error('Error getting user assignments:', error);
             this.assignedRecordIds = [];
+            this.claimExpirations = {};
+        }
+    }
+
+    async loadClaimSettings() {
+        try {
+            const settings = await getClaimSettings();
+            this.claimExpiryTracker.setWarningMinutes(settings ? settings.warningMinutes : []);
+            this.maxClaims = (settings && settings.maxClaims) || 1;
+        } catch (error) {
+            console.error('Failed to load Lead Queue claim settings:', error);
+        }
+    }
+
+    get claimSecondsLeft() {
+        const expiresAt = this.isCurrentRecordClaimed ? this.claimExpirations[this.recordId] : null;
+        return this.claimExpiryTracker.getSecondsLeft(expiresAt, this.currentTime);
+    }
+
+    /**
+     * Warn once per configured threshold while this record is claimed; re-check once the claim lapses
+     */
+    checkClaimExpiryWarnings() {
+        const recordIds = this.isCurrentRecordClaimed ? [this.recordId] : [];
+        if (this.claimExpiryNotifier.checkWarnings(recordIds, this.currentTime)) {
+            this.claimExpirations = {};
+            this.checkAssignments();
+        }
+    }
+
+    get claimExpiryLabel() {
+        const secondsLeft = this.claimSecondsLeft;
+        if (secondsLeft === null) {
+            return '';
+        }
+        return secondsLeft > 0 ? formatLabel(LABELS.expiresIn, SharedUtils.formatDuration(secondsLeft)) : LABELS.claimExpired;
+    }
+
+    get claimExpiryClass() {
+        const level = this.claimExpiryTracker.getLevel(this.claimSecondsLeft);
+        return level ? `claim-expiry claim-expiry-${level} slds-var-m-bottom_x-small` : 'claim-expiry slds-var-m-bottom_x-small';
+    }
+
+    get extendButtonLabel() {
+        return this.isExtending ? LABELS.extending : LABELS.extendClaim;
+    }
+
+    get isExtendButtonDisabled() {
+        return this.isExtending || this.isAssigning || this.isReleasing || !this.isCacheReady;
+    }
+
+    async handleExtendClaim() {
+        this.isExtending = true;
+        try {
+            await this.claimExpiryNotifier.extend(this.recordId);
+        } finally {
+            this.isExtending = false;
         }
     }
 
+    get isTransferButtonDisabled() {
+        return this.showTransferForm || this.isAssigning || this.isReleasing || !this.isCacheReady;
+    }
+
+    get isSkipButtonDisabled() {
+        return this.showSkipForm || this.isAssigning || this.isReleasing || !this.isCacheReady;
+    }
+
+    handleShowTransfer() {
+        this.showSkipForm = false;
+        this.showTransferForm = true;
+    }
+
+    handleShowSkip() {
+        this.showTransferForm = false;
+        this.showSkipForm = true;
+    }
+
+    handleCancelSkip() {
+        this.showSkipForm = false;
+    }
+
+    async handleSkipped() {
+        this.showSkipForm = false;
+        this.claimExpirations = {};
+        this.publishQueueAction(QUEUE_ACTIONS.SKIP);
+        await this.refreshAssignments();
+    }
+
+    handleCancelTransfer() {
+        this.showTransferForm = false;
+    }
+
+    async handleTransferred() {
+        this.showTransferForm = false;
+        this.claimExpirations = {};
+        this.publishQueueAction(QUEUE_ACTIONS.TRANSFER);
+        await this.refreshAssignments();
+    }
+
     get isCurrentRecordClaimed() {
         return this.assignedRecordIds.includes(this.recordId);
     }
 
     get hasOtherRecordClaimed() {
-        return this.assignedRecordIds.length > 0 && !this.isCurrentRecordClaimed;
+        return !this.isCurrentRecordClaimed && this.assignedRecordIds.length >= this.maxClaims;
     }
 
     get canClaimThisRecord() {
-        return this.assignedRecordIds.length === 0; // No assignments at all
+        return !this.isCurrentRecordClaimed && this.assignedRecordIds.length < this.maxClaims;
+    }
+
+    get claimLimitMessage() {
+        return this.maxClaims > 1
+            ? formatLabel(LABELS.intakeClaimLimitReached, this.maxClaims)
+            : LABELS.intakeAlreadyClaimed;
     }
 
     get showCacheWarning() {
@@ -116,11 +287,11 @@ export default class ClaimRecordButton extends NavigationMixin(LightningElement)
     }
 
     get claimButtonLabel() {
-        return this.isAssigning ? 'Claiming...' : 'Claim Record';
+        return this.isAssigning ? LABELS.claiming : LABELS.claimRecord;
     }
 
     get releaseButtonLabel() {
-        return this.isReleasing ? 'Releasing...' : 'Release this Record';
+        return this.isReleasing ? LABELS.releasing : LABELS.releaseThisRecord;
     }
 
     get isClaimButtonDisabled() {
@@ -133,11 +304,11 @@ export default class ClaimRecordButton extends NavigationMixin(LightningElement)
 
     async handleClaimRecord() {
         if (!this.recordId) {
-            this.showToast('Error', 'No record ID available', 'error');
+            this.showToast(LABELS.error, LABELS.noRecordId, 'error');
             return;
         }
         if (!await this.checkCacheHealth()) {
-            this.showToast('Error', 'Platform Cache not configured. Please contact your administrator.', 'error');
+            this.showToast(LABELS.error, LABELS.cacheNotConfigured, 'error');
             return;
         }
 
@@ -147,7 +318,8 @@ export default class ClaimRecordButton extends NavigationMixin(LightningElement)
             
             if (result.success) {
                 this.showSuccess = true;
-                this.showToast('Success', 'Record claimed successfully', 'success');
+                this.showToast(LABELS.success, LABELS.recordClaimed, 'success');
+                this.publishQueueAction(QUEUE_ACTIONS.CLAIM);
                 // Refresh assignments to update button state
                 await this.refreshAssignments();
                 // Clear success message after 3 seconds
@@ -155,10 +327,10 @@ export default class ClaimRecordButton extends NavigationMixin(LightningElement)
                     this.showSuccess = false;
                 }, 3000);
             } else {
-                this.showToast('Warning', result.message, 'warning');
+                this.showToast(LABELS.warning, result.message, 'warning');
             }
         } catch (error) {
-            this.showToast('Error', 'Failed to claim record: ' + SharedUtils.getErrorMessage(error), 'error');
+            this.showToast(LABELS.error, formatLabel(LABELS.claimFailed, SharedUtils.getErrorMessage(error)), 'error');
         } finally {
             this.isAssigning = false;
         }
@@ -166,14 +338,15 @@ export default class ClaimRecordButton extends NavigationMixin(LightningElement)
 
     async handleReleaseRecord() {
         if (!await this.checkCacheHealth()) {
-            this.showToast('Error', 'Platform Cache not configured. Please contact your administrator.', 'error');
+            this.showToast(LABELS.error, LABELS.cacheNotConfigured, 'error');
             return;
         }
         this.isReleasing = true;
         try {
             await releaseUserAssignments({ recordId: this.recordId });
             this.showSuccess = true;
-            this.showToast('Success', 'Record released successfully', 'success');
+            this.showToast(LABELS.success, LABELS.recordReleased, 'success');
+            this.publishQueueAction(QUEUE_ACTIONS.RELEASE);
             // Refresh assignments to update button state
             await this.refreshAssignments();
             // Clear success message after 3 seconds
@@ -181,7 +354,7 @@ export default class ClaimRecordButton extends NavigationMixin(LightningElement)
                 this.showSuccess = false;
             }, 3000);
         } catch (error) {
-            this.showToast('Error', 'Failed to release record: ' + SharedUtils.getErrorMessage(error), 'error');
+            this.showToast(LABELS.error, formatLabel(LABELS.releaseRecordFailed, SharedUtils.getErrorMessage(error)), 'error');
         } finally {
             this.isReleasing = false;
         }
@@ -200,6 +373,14 @@ export default class ClaimRecordButton extends NavigationMixin(LightningElement)
         
         // Also do immediate refresh attempt
         await this.checkAssignments();
+        this.refreshHistory();
+    }
+
+    refreshHistory() {
+        const timeline = this.template.querySelector('c-claim-history-timeline');
+        if (timeline) {
+            timeline.refresh();
+        }
     }
 
     showToast(title, message, variant) {
@@ -0,0 +1,109 @@
+import { LightningElement, api } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import rescheduleRecord from '@salesforce/apex/LeadQueueService.rescheduleRecord';
+import { SharedUtils } from 'c/sharedUtils';
+import { LABELS, formatLabel } from 'c/leadQueueLabels';
+
+const PRESET_HOUR = 'hour';
+const PRESET_TOMORROW = 'tomorrow';
+const TOMORROW_HOUR = 9;
+
+/**
+ * Inline "Reschedule" form for a lead: one-click presets or a custom date/time.
+ * Fires `rescheduled` (detail: { recordId, callAt }) on success and `cancel` when dismissed.
+ */
+export default class ClaimRescheduleForm extends LightningElement {
+    @api recordId;
+    @api recordName;
+    labels = LABELS;
+    customCallAt = null;
+    isSaving = false;
+
+    handlePreset(event) {
+        const callAt = this.getPresetCallAt(event.currentTarget.dataset.preset);
+        if (callAt) {
+            this.reschedule(callAt.toISOString());
+        }
+    }
+
+    handleCustomChange(event) {
+        this.customCallAt = event.detail.value || null;
+    }
+
+    handleApplyCustom() {
+        if (!this.customCallAt) {
+            this.showToast(LABELS.warning, LABELS.chooseCallTime, 'warning');
+            return;
+        }
+        if (new Date(this.customCallAt).getTime() <= Date.now()) {
+            this.showToast(LABELS.warning, LABELS.chooseFutureCallTime, 'warning');
+            return;
+        }
+        this.reschedule(this.customCallAt);
+    }
+
+    handleCancel() {
+        this.dispatchEvent(new CustomEvent('cancel'));
+    }
+
+    async reschedule(callAt) {
+        if (!this.recordId || this.isSaving) {
+            return;
+        }
+        this.isSaving = true;
+        try {
+            const result = await rescheduleRecord({ recordId: this.recordId, callAt });
+            if (result && result.success) {
+                this.showToast(LABELS.success, formatLabel(LABELS.recordResult, this.recordName || LABELS.lead, result.message), 'success');
+                this.dispatchEvent(new CustomEvent('rescheduled', {
+                    detail: { recordId: this.recordId, callAt: result.callAt }
+                }));
+            } else {
+                this.showToast(LABELS.warning, (result && result.message) || LABELS.errorGeneric, 'warning');
+            }
+        } catch (error) {
+            this.showToast(LABELS.error, formatLabel(LABELS.rescheduleFailed, SharedUtils.getErrorMessage(error)), 'error');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    getPresetCallAt(preset) {
+        const callAt = new Date();
+        if (preset === PRESET_HOUR) {
+            callAt.setHours(callAt.getHours() + 1);
+            return callAt;
+        }
+        if (preset === PRESET_TOMORROW) {
+            // Tomorrow in the user's Salesforce time zone, which can differ from the computer's
+            const today = SharedUtils.getZonedParts(callAt);
+            if (today) {
+                return SharedUtils.getZonedDate(today.year, today.month, today.day + 1, TOMORROW_HOUR, 0);
+            }
+            callAt.setDate(callAt.getDate() + 1);
+            callAt.setHours(TOMORROW_HOUR, 0, 0, 0);
+            return callAt;
+        }
+        return null;
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+
+    get title() {
+        return this.recordName ? formatLabel(LABELS.callBackRecord, this.recordName) : LABELS.callBack;
+    }
+
+    get minCallAt() {
+        return new Date().toISOString();
+    }
+
+    get applyButtonLabel() {
+        return this.isSaving ? LABELS.rescheduling : LABELS.reschedule;
+    }
+
+    get isApplyDisabled() {
+        return this.isSaving || !this.customCallAt;
+    }
+}
@@ -0,0 +1,88 @@
+import { LightningElement, api, wire } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getSkipReasons from '@salesforce/apex/LeadQueueService.getSkipReasons';
+import skipClaim from '@salesforce/apex/LeadQueueService.skipClaim';
+import { SharedUtils } from 'c/sharedUtils';
+import { LABELS, formatLabel } from 'c/leadQueueLabels';
+
+const MAX_NOTE_LENGTH = 255;
+
+/**
+ * Inline "Skip" form for one of the current user's claims. A reason is required.
+ * Fires `skipped` (detail: { recordId }) on success and `cancel` when dismissed.
+ */
+export default class ClaimSkipForm extends LightningElement {
+    @api recordId;
+    @api recordName;
+    labels = LABELS;
+    reason = null;
+    note = '';
+    reasonOptions = [];
+    isSaving = false;
+    noteMaxLength = MAX_NOTE_LENGTH;
+
+    @wire(getSkipReasons)
+    wiredSkipReasons({ data, error }) {
+        if (data) {
+            this.reasonOptions = data;
+        } else if (error) {
+            console.error('Failed to load skip reasons:', error);
+            this.reasonOptions = [];
+        }
+    }
+
+    handleReasonChange(event) {
+        this.reason = event.detail.value || null;
+    }
+
+    handleNoteChange(event) {
+        this.note = event.detail.value || '';
+    }
+
+    handleCancel() {
+        this.dispatchEvent(new CustomEvent('cancel'));
+    }
+
+    async handleSkip() {
+        if (!this.recordId || !this.reason) {
+            this.showToast(LABELS.warning, LABELS.chooseSkipReason, 'warning');
+            return;
+        }
+        this.isSaving = true;
+        try {
+            const result = await skipClaim({
+                recordId: this.recordId,
+                reason: this.reason,
+                note: this.note.trim()
+            });
+            if (result && result.success) {
+                this.showToast(LABELS.success, formatLabel(LABELS.recordResult, this.recordName || LABELS.lead, result.message), 'success');
+                this.dispatchEvent(new CustomEvent('skipped', {
+                    detail: { recordId: this.recordId }
+                }));
+            } else {
+                this.showToast(LABELS.warning, (result && result.message) || LABELS.errorGeneric, 'warning');
+            }
+        } catch (error) {
+            this.showToast(LABELS.error, formatLabel(LABELS.skipFailed, SharedUtils.getErrorMessage(error)), 'error');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+
+    get reasonLabel() {
+        return this.recordName ? formatLabel(LABELS.whySkippingRecord, this.recordName) : LABELS.whySkippingLead;
+    }
+
+    get skipButtonLabel() {
+        return this.isSaving ? LABELS.skipping : LABELS.skip;
+    }
+
+    get isSkipDisabled() {
+        return this.isSaving || !this.reason;
+    }
+}
@@ -0,0 +1,86 @@
+import { LightningElement, api } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import Id from '@salesforce/user/Id';
+import transferClaim from '@salesforce/apex/LeadQueueService.transferClaim';
+import { SharedUtils } from 'c/sharedUtils';
+import { LABELS, formatLabel } from 'c/leadQueueLabels';
+
+const MAX_NOTE_LENGTH = 255;
+
+/**
+ * Inline "Transfer to..." form for one of the current user's claims.
+ * Fires `transferred` (detail: { recordId, toUserId }) on success and `cancel` when dismissed.
+ */
+export default class ClaimTransferForm extends LightningElement {
+    @api recordId;
+    @api recordName;
+    labels = LABELS;
+    toUserId = null;
+    note = '';
+    isSaving = false;
+    noteMaxLength = MAX_NOTE_LENGTH;
+
+    handleUserChange(event) {
+        this.toUserId = event.detail.recordId || null;
+    }
+
+    handleNoteChange(event) {
+        this.note = event.detail.value || '';
+    }
+
+    handleCancel() {
+        this.dispatchEvent(new CustomEvent('cancel'));
+    }
+
+    async handleTransfer() {
+        if (!this.recordId || !this.toUserId) {
+            this.showToast(LABELS.warning, LABELS.chooseTransferAgent, 'warning');
+            return;
+        }
+        this.isSaving = true;
+        try {
+            const result = await transferClaim({
+                recordId: this.recordId,
+                toUserId: this.toUserId,
+                note: this.note.trim()
+            });
+            if (result && result.success) {
+                this.showToast(LABELS.success, formatLabel(LABELS.recordResult, this.recordName || LABELS.lead, result.message), 'success');
+                this.dispatchEvent(new CustomEvent('transferred', {
+                    detail: { recordId: this.recordId, toUserId: this.toUserId }
+                }));
+            } else {
+                this.showToast(LABELS.warning, (result && result.message) || LABELS.errorGeneric, 'warning');
+            }
+        } catch (error) {
+            this.showToast(LABELS.error, formatLabel(LABELS.transferFailed, SharedUtils.getErrorMessage(error)), 'error');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+
+    get pickerLabel() {
+        return this.recordName ? formatLabel(LABELS.transferRecordTo, this.recordName) : LABELS.transferToPicker;
+    }
+
+    get agentFilter() {
+        return {
+            criteria: [
+                { fieldPath: 'IsActive', operator: 'eq', value: true },
+                { fieldPath: 'Id', operator: 'ne', value: Id }
+            ]
+        };
+    }
+
+    get transferButtonLabel() {
+        return this.isSaving ? LABELS.transferring : LABELS.transfer;
+    }
+
+    get isTransferDisabled() {
+        return this.isSaving || !this.toUserId;
+    }
+}
@@ -0,0 +1,100 @@
+import { LightningElement, api } from 'lwc';
+import { LABELS } from 'c/leadQueueLabels';
+
+const CHANNEL_NOTIFICATION = 'browserNotification';
+const CHANNEL_SOUND = 'sound';
+
+/**
+ * Inline settings form for new lead alerts: opt-in, mute, what to alert for, how, and quiet hours.
+ * Edits a copy of the settings and fires `save` (detail: { settings }) or `cancel`.
+ */
+export default class LeadQueueAlertSettings extends LightningElement {
+    @api viewOptions = [];
+    @api notificationPermission;
+    labels = LABELS;
+    draft = {};
+
+    @api
+    get settings() {
+        return this.draft;
+    }
+    set settings(value) {
+        this.draft = { ...(value || {}) };
+    }
+
+    handleToggleChange(event) {
+        this.draft = { ...this.draft, [event.target.name]: event.target.checked };
+    }
+
+    handleViewChange(event) {
+        this.draft = { ...this.draft, viewId: event.detail.value || null };
+    }
+
+    handleChannelChange(event) {
+        const channels = event.detail.value || [];
+        this.draft = {
+            ...this.draft,
+            browserNotification: channels.includes(CHANNEL_NOTIFICATION),
+            sound: channels.includes(CHANNEL_SOUND)
+        };
+    }
+
+    handleQuietHoursChange(event) {
+        this.draft = { ...this.draft, [event.target.name]: event.detail.value || null };
+    }
+
+    handleSave() {
+        this.dispatchEvent(new CustomEvent('save', { detail: { settings: { ...this.draft } } }));
+    }
+
+    handleCancel() {
+        this.dispatchEvent(new CustomEvent('cancel'));
+    }
+
+    get isDisabled() {
+        return !this.draft.enabled;
+    }
+
+    get matchViewOptions() {
+        return [{ label: LABELS.none, value: '' }, ...(this.viewOptions || [])];
+    }
+
+    get selectedViewId() {
+        return this.draft.viewId || '';
+    }
+
+    get channelOptions() {
+        return [
+            { label: LABELS.browserNotification, value: CHANNEL_NOTIFICATION },
+            { label: LABELS.sound, value: CHANNEL_SOUND }
+        ];
+    }
+
+    get selectedChannels() {
+        const channels = [];
+        if (this.draft.browserNotification) {
+            channels.push(CHANNEL_NOTIFICATION);
+        }
+        if (this.draft.sound) {
+            channels.push(CHANNEL_SOUND);
+        }
+        return channels;
+    }
+
+    get notificationWarning() {
+        if (!this.draft.enabled || !this.draft.browserNotification) {
+            return null;
+        }
+        if (this.notificationPermission === 'denied') {
+            return LABELS.notificationsBlocked;
+        }
+        if (this.notificationPermission === 'unsupported') {
+            return LABELS.notificationsUnsupported;
+        }
+        return null;
+    }
+
+    get hasNoTrigger() {
+        return this.draft.enabled && !this.draft.highPriority && !this.draft.viewId;
+    }
+}
@@ -0,0 +1,324 @@
+import { LightningElement, wire } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { NavigationMixin } from 'lightning/navigation';
+import { MessageContext } from 'lightning/messageService';
+import LightningConfirm from 'lightning/confirm';
+import getSupervisorContext from '@salesforce/apex/LeadQueueSupervisorService.getSupervisorContext';
+import getAssignmentBoard from '@salesforce/apex/LeadQueueSupervisorService.getAssignmentBoard';
+import bulkRelease from '@salesforce/apex/LeadQueueSupervisorService.bulkRelease';
+import reassignRecord from '@salesforce/apex/LeadQueueSupervisorService.reassignRecord';
+import getSkippedLeads from '@salesforce/apex/LeadQueueSupervisorService.getSkippedLeads';
+import { SharedUtils, ConnectionManager, QueueMessenger, QUEUE_ACTIONS } from 'c/sharedUtils';
+import { LABELS, formatLabel } from 'c/leadQueueLabels';
+
+const COLUMNS = [
+    { label: LABELS.agent, fieldName: 'userName', type: 'text' },
+    {
+        label: LABELS.lead,
+        fieldName: 'recordUrl',
+        type: 'url',
+        typeAttributes: { label: { fieldName: 'recordName' }, target: '_self' }
+    },
+    { label: LABELS.status, fieldName: 'status', type: 'text' },
+    { label: LABELS.caseType, fieldName: 'caseType', type: 'text' },
+    { label: LABELS.timeHeld, fieldName: 'timeHeld', type: 'text', initialWidth: 110 },
+    {
+        label: LABELS.expiresInColumn,
+        fieldName: 'timeLeft',
+        type: 'text',
+        initialWidth: 110,
+        cellAttributes: { class: { fieldName: 'timeLeftClass' } }
+    },
+    {
+        type: 'action',
+        typeAttributes: {
+            rowActions: [
+                { label: LABELS.reassign, name: 'reassign' },
+                { label: LABELS.forceRelease, name: 'release' }
+            ]
+        }
+    }
+];
+
+const SKIP_COLUMNS = [
+    {
+        label: LABELS.lead,
+        fieldName: 'recordUrl',
+        type: 'url',
+        typeAttributes: { label: { fieldName: 'recordName' }, target: '_self' }
+    },
+    { label: LABELS.skips, fieldName: 'skipCount', type: 'number', initialWidth: 90 },
+    { label: LABELS.skipReasons, fieldName: 'reasons', type: 'text' },
+    { label: LABELS.lastSkipped, fieldName: 'lastSkipped', type: 'text', initialWidth: 170 }
+];
+
+export default class LeadQueueAssignmentBoard extends NavigationMixin(LightningElement) {
+    @wire(MessageContext) messageContext;
+
+    labels = LABELS;
+    columns = COLUMNS;
+    skipColumns = SKIP_COLUMNS;
+    claims = [];
+    rows = [];
+    skippedLeads = [];
+    isLoading = true;
+    hasAccess = false;
+    ttlSeconds = 0;
+    warningSeconds = 0;
+    // Server clock minus browser clock, so countdowns match the cache expiry
+    clockOffset = 0;
+    reassignClaim = null;
+    reassignUserId = null;
+    isSaving = false;
+    timerInterval;
+    eventChannel = '/event/LeadQueueRefresh__e';
+    connectionManager;
+    connectionStatus = null;
+    queueMessenger;
+    eventRefreshTimeout;
+
+    async connectedCallback() {
+        try {
+            const context = await getSupervisorContext();
+            this.hasAccess = Boolean(context && context.canUseBulkActions);
+        } catch (error) {
+            console.error('Failed to load Lead Queue supervisor context:', error);
+            this.hasAccess = false;
+        }
+        if (!this.hasAccess) {
+            this.isLoading = false;
+            return;
+        }
+        this.connectionManager = new ConnectionManager(this, this.eventChannel);
+        this.connectionManager.connect();
+        // Claims and releases from the queue, record pages and utility bar in this app
+        this.queueMessenger = new QueueMessenger(this.messageContext);
+        this.queueMessenger.subscribe(message => this.handleQueueMessage(message));
+        await this.loadBoard();
+        this.timerInterval = setInterval(() => {
+            this.refreshRows();
+        }, 1000);
+    }
+
+    disconnectedCallback() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+        if (this.eventRefreshTimeout) {
+            clearTimeout(this.eventRefreshTimeout);
+            this.eventRefreshTimeout = null;
+        }
+        if (this.connectionManager) {
+            this.connectionManager.disconnect();
+            this.connectionManager = null;
+        }
+        if (this.queueMessenger) {
+            this.queueMessenger.unsubscribe();
+            this.queueMessenger = null;
+        }
+    }
+
+    handleRefreshEvent() {
+        this.scheduleEventRefresh();
+    }
+
+    /**
+     * Streaming is down: reload on an interval until the connection comes back
+     */
+    handleRefreshPoll() {
+        this.scheduleEventRefresh();
+    }
+
+    /**
+     * Back online: events published while disconnected are lost, so reload once to catch up
+     */
+    handleConnectionRestored() {
+        this.scheduleEventRefresh();
+    }
+
+    handleQueueMessage(message) {
+        if (![QUEUE_ACTIONS.ALERT, QUEUE_ACTIONS.EXPIRY_WARNING, QUEUE_ACTIONS.TRANSFER_RECEIVED].includes(message.action)) {
+            this.scheduleEventRefresh();
+        }
+    }
+
+    scheduleEventRefresh() {
+        if (this.eventRefreshTimeout) {
+            return;
+        }
+        this.eventRefreshTimeout = setTimeout(() => {
+            this.eventRefreshTimeout = null;
+            this.loadBoard();
+        }, 500);
+    }
+
+    async loadBoard() {
+        this.loadSkippedLeads();
+        try {
+            const board = await getAssignmentBoard();
+            this.claims = (board && Array.isArray(board.claims)) ? board.claims : [];
+            this.ttlSeconds = board ? board.ttlSeconds : 0;
+            this.warningSeconds = board ? board.warningSeconds : 0;
+            this.clockOffset = board && board.serverTime ? board.serverTime - Date.now() : 0;
+            this.refreshRows();
+        } catch (error) {
+            this.showToast(LABELS.error, formatLabel(LABELS.loadAssignmentsFailed, SharedUtils.getErrorMessage(error)), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async loadSkippedLeads() {
+        try {
+            const leads = await getSkippedLeads();
+            this.skippedLeads = (leads || []).map(lead => ({
+                ...lead,
+                recordUrl: `/lightning/r/litify_pm__Intake__c/${lead.recordId}/view`,
+                lastSkipped: SharedUtils.formatCallDateTime(lead.lastSkippedAt)
+            }));
+        } catch (error) {
+            console.error('Failed to load skipped leads:', error);
+            this.skippedLeads = [];
+        }
+    }
+
+    /**
+     * Recompute time held / time left; claims past their expiry are dropped until the next reload confirms it
+     */
+    refreshRows() {
+        const now = Date.now() + this.clockOffset;
+        this.rows = this.claims
+            .map(claim => {
+                const heldSeconds = claim.assignedAt ? (now - claim.assignedAt) / 1000 : null;
+                const leftSeconds = claim.expiresAt ? (claim.expiresAt - now) / 1000 : null;
+                let timeLeftClass = '';
+                if (leftSeconds !== null && leftSeconds <= this.warningSeconds) {
+                    timeLeftClass = 'slds-text-color_error claim-expiring';
+                }
+                return {
+                    ...claim,
+                    recordUrl: `/lightning/r/litify_pm__Intake__c/${claim.recordId}/view`,
+                    timeHeld: heldSeconds === null ? '--:--' : SharedUtils.formatDuration(heldSeconds),
+                    timeLeft: leftSeconds === null ? '--:--' : SharedUtils.formatDuration(leftSeconds),
+                    timeLeftClass,
+                    isExpired: leftSeconds !== null && leftSeconds <= 0
+                };
+            })
+            .filter(row => !row.isExpired);
+    }
+
+    async handleRowAction(event) {
+        const actionName = event.detail.action.name;
+        const row = event.detail.row;
+        if (actionName === 'reassign') {
+            this.reassignClaim = row;
+            this.reassignUserId = null;
+        } else if (actionName === 'release') {
+            await this.releaseClaim(row);
+        }
+    }
+
+    async releaseClaim(row) {
+        const confirmed = await LightningConfirm.open({
+            message: formatLabel(LABELS.confirmForceRelease, row.recordName, row.userName),
+            label: LABELS.forceRelease,
+            theme: 'warning'
+        });
+        if (!confirmed) {
+            return;
+        }
+        this.isSaving = true;
+        try {
+            const results = await bulkRelease({ recordIds: [row.recordId] });
+            const result = results && results[0];
+            if (result && result.success) {
+                this.showToast(LABELS.success, formatLabel(LABELS.releasedRecord, row.recordName), 'success');
+            } else {
+                this.showToast(LABELS.warning, (result && result.message) || LABELS.errorGeneric, 'warning');
+            }
+            await this.loadBoard();
+        } catch (error) {
+            this.showToast(LABELS.error, formatLabel(LABELS.releaseFailed, SharedUtils.getErrorMessage(error)), 'error');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    handleReassignUserChange(event) {
+        this.reassignUserId = event.detail.recordId || null;
+    }
+
+    handleCancelReassign() {
+        this.reassignClaim = null;
+        this.reassignUserId = null;
+    }
+
+    async handleApplyReassign() {
+        if (!this.reassignClaim || !this.reassignUserId) {
+            this.showToast(LABELS.warning, LABELS.chooseReassignAgent, 'warning');
+            return;
+        }
+        this.isSaving = true;
+        try {
+            const result = await reassignRecord({
+                recordId: this.reassignClaim.recordId,
+                userId: this.reassignUserId
+            });
+            if (result && result.success) {
+                this.showToast(LABELS.success, formatLabel(LABELS.reassignedRecord, this.reassignClaim.recordName), 'success');
+                this.handleCancelReassign();
+            } else {
+                this.showToast(LABELS.warning, (result && result.message) || LABELS.errorGeneric, 'warning');
+            }
+            await this.loadBoard();
+        } catch (error) {
+            this.showToast(LABELS.error, formatLabel(LABELS.reassignFailed, SharedUtils.getErrorMessage(error)), 'error');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    handleRefresh() {
+        this.isLoading = true;
+        this.loadBoard();
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+
+    get hasClaims() {
+        return this.rows.length > 0;
+    }
+
+    get hasSkippedLeads() {
+        return this.skippedLeads.length > 0;
+    }
+
+    get cardTitle() {
+        return formatLabel(LABELS.activeClaimsCount, this.rows.length);
+    }
+
+    get expiryHelpText() {
+        const minutes = Math.round(this.ttlSeconds / 60);
+        const warningMinutes = Math.round(this.warningSeconds / 60);
+        return formatLabel(LABELS.claimExpiryHelp, minutes, warningMinutes);
+    }
+
+    get reassignTitle() {
+        return this.reassignClaim
+            ? formatLabel(LABELS.reassignHeldBy, this.reassignClaim.recordName, this.reassignClaim.userName)
+            : '';
+    }
+
+    get reassignAgentFilter() {
+        return {
+            criteria: [{ fieldPath: 'IsActive', operator: 'eq', value: true }]
+        };
+    }
+
+    get isReassignDisabled() {
+        return this.isSaving || !this.reassignUserId;
+    }
+}
@@ -0,0 +1,18 @@
+import LightningDatatable from 'lightning/datatable';
+import picklistCell from './picklistCell.html';
+import picklistEditCell from './picklistEditCell.html';
+
+/**
+ * Lead Queue table: lightning-datatable plus a 'picklist' column type that edits inline with a combobox.
+ * Picklist columns take typeAttributes { options, placeholder }.
+ */
+export default class LeadQueueDatatable extends LightningDatatable {
+    static customTypes = {
+        picklist: {
+            template: picklistCell,
+            editTemplate: picklistEditCell,
+            standardCellLayout: true,
+            typeAttributes: ['options', 'placeholder']
+        }
+    };
+}
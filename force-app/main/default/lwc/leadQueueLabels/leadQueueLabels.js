@@ -0,0 +1,702 @@
+/**
+ * Translatable text for the Lead Queue components
+ * Every user-facing string comes from a custom label so it follows the user's language (Spanish translations ship
+ * in translations/es.translation-meta.xml); placeholders like {0} are filled in with formatLabel
+ */
+import LEAD_QUEUE from '@salesforce/label/c.LeadQueue_LeadQueue';
+import ERROR from '@salesforce/label/c.LeadQueue_Error';
+import WARNING from '@salesforce/label/c.LeadQueue_Warning';
+import SUCCESS from '@salesforce/label/c.LeadQueue_Success';
+import CANCEL from '@salesforce/label/c.LeadQueue_Cancel';
+import APPLY from '@salesforce/label/c.LeadQueue_Apply';
+import CLEAR from '@salesforce/label/c.LeadQueue_Clear';
+import SELECT from '@salesforce/label/c.LeadQueue_Select';
+import RECORD from '@salesforce/label/c.LeadQueue_Record';
+import UNKNOWN from '@salesforce/label/c.LeadQueue_Unknown';
+import ASSIGNED_RECORD from '@salesforce/label/c.LeadQueue_AssignedRecord';
+import ASSIGNED from '@salesforce/label/c.LeadQueue_Assigned';
+import ERROR_INVALID_DATA from '@salesforce/label/c.LeadQueue_ErrorInvalidData';
+import ERROR_ACCESS_DENIED from '@salesforce/label/c.LeadQueue_ErrorAccessDenied';
+import ERROR_TIMED_OUT from '@salesforce/label/c.LeadQueue_ErrorTimedOut';
+import ERROR_REQUIRED_FIELD_MISSING from '@salesforce/label/c.LeadQueue_ErrorRequiredFieldMissing';
+import ERROR_DATA_VALIDATION from '@salesforce/label/c.LeadQueue_ErrorDataValidation';
+import ERROR_GENERIC from '@salesforce/label/c.LeadQueue_ErrorGeneric';
+import CACHE_WARNING from '@salesforce/label/c.LeadQueue_CacheWarning';
+import CACHE_UNAVAILABLE from '@salesforce/label/c.LeadQueue_CacheUnavailable';
+import CACHE_PAUSED from '@salesforce/label/c.LeadQueue_CachePaused';
+import CACHE_PAUSED_FOR_ADMINS from '@salesforce/label/c.LeadQueue_CachePausedForAdmins';
+import OPEN_SETUP from '@salesforce/label/c.LeadQueue_OpenSetup';
+import CACHE_NOT_CONFIGURED from '@salesforce/label/c.LeadQueue_CacheNotConfigured';
+import CACHE_CHECK_FAILED from '@salesforce/label/c.LeadQueue_CacheCheckFailed';
+import ALL_LEADS from '@salesforce/label/c.LeadQueue_AllLeads';
+import HIGH_PRIORITY from '@salesforce/label/c.LeadQueue_HighPriority';
+import IN_CONTACT from '@salesforce/label/c.LeadQueue_InContact';
+import NO_CONTACT from '@salesforce/label/c.LeadQueue_NoContact';
+import RETAINER_SENT from '@salesforce/label/c.LeadQueue_RetainerSent';
+import REFERRALS from '@salesforce/label/c.LeadQueue_Referrals';
+import OVER_SLA_MINUTES from '@salesforce/label/c.LeadQueue_OverSlaMinutes';
+import OVER_SLA_HELP from '@salesforce/label/c.LeadQueue_OverSlaHelp';
+import GET_NEXT_RECORD from '@salesforce/label/c.LeadQueue_GetNextRecord';
+import ASSIGNING from '@salesforce/label/c.LeadQueue_Assigning';
+import RELEASE_MY_RECORDS from '@salesforce/label/c.LeadQueue_ReleaseMyRecords';
+import RELEASE_ALL from '@salesforce/label/c.LeadQueue_ReleaseAll';
+import RELEASE from '@salesforce/label/c.LeadQueue_Release';
+import RELEASING from '@salesforce/label/c.LeadQueue_Releasing';
+import EXTEND from '@salesforce/label/c.LeadQueue_Extend';
+import EXTEND_CLAIM from '@salesforce/label/c.LeadQueue_ExtendClaim';
+import EXTENDING from '@salesforce/label/c.LeadQueue_Extending';
+import TRANSFER from '@salesforce/label/c.LeadQueue_Transfer';
+import SKIP from '@salesforce/label/c.LeadQueue_Skip';
+import RESCHEDULE from '@salesforce/label/c.LeadQueue_Reschedule';
+import RESCHEDULE_ELLIPSIS from '@salesforce/label/c.LeadQueue_RescheduleEllipsis';
+import CLAIM_COUNT from '@salesforce/label/c.LeadQueue_ClaimCount';
+import READY_TO_CALL from '@salesforce/label/c.LeadQueue_ReadyToCall';
+import SCHEDULED_CALLS from '@salesforce/label/c.LeadQueue_ScheduledCalls';
+import EXPORT_VIEW from '@salesforce/label/c.LeadQueue_ExportView';
+import EXPORT_HELP from '@salesforce/label/c.LeadQueue_ExportHelp';
+import REFRESH_HELP from '@salesforce/label/c.LeadQueue_RefreshHelp';
+import LOG_CALL_AND_RELEASE from '@salesforce/label/c.LeadQueue_LogCallAndRelease';
+import LOAD_FAILED from '@salesforce/label/c.LeadQueue_LoadFailed';
+import LOAD_FAILED_WITH_ERROR from '@salesforce/label/c.LeadQueue_LoadFailedWithError';
+import ANOTHER_AGENT from '@salesforce/label/c.LeadQueue_AnotherAgent';
+import LEAD_TRANSFERRED_TITLE from '@salesforce/label/c.LeadQueue_LeadTransferredTitle';
+import LEAD_TRANSFERRED_MESSAGE from '@salesforce/label/c.LeadQueue_LeadTransferredMessage';
+import TRANSFER_NOTE from '@salesforce/label/c.LeadQueue_TransferNote';
+import ASSIGNMENT_FAILED from '@salesforce/label/c.LeadQueue_AssignmentFailed';
+import RELEASED_ALL_ASSIGNMENTS from '@salesforce/label/c.LeadQueue_ReleasedAllAssignments';
+import RELEASED_SOME_ASSIGNMENTS from '@salesforce/label/c.LeadQueue_ReleasedSomeAssignments';
+import RELEASED_RECORD from '@salesforce/label/c.LeadQueue_ReleasedRecord';
+import RELEASE_FAILED from '@salesforce/label/c.LeadQueue_ReleaseFailed';
+import CLAIM_EXTENDED_UNTIL from '@salesforce/label/c.LeadQueue_ClaimExtendedUntil';
+import UNABLE_TO_EXTEND_CLAIM from '@salesforce/label/c.LeadQueue_UnableToExtendClaim';
+import CHECK_ASSIGNMENTS_FAILED from '@salesforce/label/c.LeadQueue_CheckAssignmentsFailed';
+import FILTER_FAILED from '@salesforce/label/c.LeadQueue_FilterFailed';
+import ALREADY_CLAIMED_BY from '@salesforce/label/c.LeadQueue_AlreadyClaimedBy';
+import TIME_ASSIGNED_TIMER from '@salesforce/label/c.LeadQueue_TimeAssignedTimer';
+import EXPIRES_IN from '@salesforce/label/c.LeadQueue_ExpiresIn';
+import CLAIM_EXPIRED from '@salesforce/label/c.LeadQueue_ClaimExpired';
+import CLAIM_EXPIRING_TITLE from '@salesforce/label/c.LeadQueue_ClaimExpiringTitle';
+import CLAIM_EXPIRING_MESSAGE from '@salesforce/label/c.LeadQueue_ClaimExpiringMessage';
+import ONE_MINUTE from '@salesforce/label/c.LeadQueue_OneMinute';
+import MINUTES from '@salesforce/label/c.LeadQueue_Minutes';
+import CURRENTLY_ASSIGNED_TO from '@salesforce/label/c.LeadQueue_CurrentlyAssignedTo';
+import CONNECTION_LIVE from '@salesforce/label/c.LeadQueue_ConnectionLive';
+import CONNECTION_RECONNECTING from '@salesforce/label/c.LeadQueue_ConnectionReconnecting';
+import CONNECTION_POLLING from '@salesforce/label/c.LeadQueue_ConnectionPolling';
+import CONNECTION_LIVE_HELP from '@salesforce/label/c.LeadQueue_ConnectionLiveHelp';
+import CONNECTION_RECONNECTING_HELP from '@salesforce/label/c.LeadQueue_ConnectionReconnectingHelp';
+import CONNECTION_POLLING_HELP from '@salesforce/label/c.LeadQueue_ConnectionPollingHelp';
+import KEYBOARD_SHORTCUTS from '@salesforce/label/c.LeadQueue_KeyboardShortcuts';
+import KEYBOARD_SHORTCUTS_HELP from '@salesforce/label/c.LeadQueue_KeyboardShortcutsHelp';
+import CLOSE_KEYBOARD_SHORTCUTS from '@salesforce/label/c.LeadQueue_CloseKeyboardShortcuts';
+import SHORTCUT_OPEN_KEYS from '@salesforce/label/c.LeadQueue_ShortcutOpenKeys';
+import SHORTCUT_ASSIGN_NEXT from '@salesforce/label/c.LeadQueue_ShortcutAssignNext';
+import SHORTCUT_RELEASE from '@salesforce/label/c.LeadQueue_ShortcutRelease';
+import SHORTCUT_REFRESH from '@salesforce/label/c.LeadQueue_ShortcutRefresh';
+import SHORTCUT_SWITCH_VIEW from '@salesforce/label/c.LeadQueue_ShortcutSwitchView';
+import SHORTCUT_TOGGLE_TILE from '@salesforce/label/c.LeadQueue_ShortcutToggleTile';
+import SHORTCUT_FOCUS_NEXT from '@salesforce/label/c.LeadQueue_ShortcutFocusNext';
+import SHORTCUT_FOCUS_PREVIOUS from '@salesforce/label/c.LeadQueue_ShortcutFocusPrevious';
+import SHORTCUT_OPEN_FOCUSED from '@salesforce/label/c.LeadQueue_ShortcutOpenFocused';
+import SHORTCUT_CLAIM_FOCUSED from '@salesforce/label/c.LeadQueue_ShortcutClaimFocused';
+import SHORTCUT_TOGGLE_HELP from '@salesforce/label/c.LeadQueue_ShortcutToggleHelp';
+import SHORTCUT_CLOSE_HELP from '@salesforce/label/c.LeadQueue_ShortcutCloseHelp';
+import NEW_LEAD_ALERTS from '@salesforce/label/c.LeadQueue_NewLeadAlerts';
+import NEW_LEAD_ALERTS_OFF from '@salesforce/label/c.LeadQueue_NewLeadAlertsOff';
+import NEW_LEAD_ALERTS_MUTED from '@salesforce/label/c.LeadQueue_NewLeadAlertsMuted';
+import NEW_LEAD_ALERTS_ON from '@salesforce/label/c.LeadQueue_NewLeadAlertsOn';
+import NEW_LEADS from '@salesforce/label/c.LeadQueue_NewLeads';
+import NEW_LEAD from '@salesforce/label/c.LeadQueue_NewLead';
+import DISMISS_NEW_LEAD_ALERTS from '@salesforce/label/c.LeadQueue_DismissNewLeadAlerts';
+import NEW_LEAD_ALERT_TITLE from '@salesforce/label/c.LeadQueue_NewLeadAlertTitle';
+import NEW_LEADS_ALERT_TITLE from '@salesforce/label/c.LeadQueue_NewLeadsAlertTitle';
+import ALERT_NAMES_AND_MORE from '@salesforce/label/c.LeadQueue_AlertNamesAndMore';
+import SAVED_VIEW from '@salesforce/label/c.LeadQueue_SavedView';
+import SAVED_VIEW_ACTIONS from '@salesforce/label/c.LeadQueue_SavedViewActions';
+import NO_SAVED_VIEWS from '@salesforce/label/c.LeadQueue_NoSavedViews';
+import SELECT_A_VIEW from '@salesforce/label/c.LeadQueue_SelectAView';
+import TEAM_VIEW_NAME from '@salesforce/label/c.LeadQueue_TeamViewName';
+import DEFAULT_VIEW_NAME from '@salesforce/label/c.LeadQueue_DefaultViewName';
+import SAVE_AS_NEW_VIEW from '@salesforce/label/c.LeadQueue_SaveAsNewView';
+import SAVE_AS_TEAM_VIEW from '@salesforce/label/c.LeadQueue_SaveAsTeamView';
+import UPDATE_VIEW_FILTERS from '@salesforce/label/c.LeadQueue_UpdateViewFilters';
+import RENAME_VIEW from '@salesforce/label/c.LeadQueue_RenameView';
+import DELETE_VIEW from '@salesforce/label/c.LeadQueue_DeleteView';
+import SET_AS_MY_DEFAULT from '@salesforce/label/c.LeadQueue_SetAsMyDefault';
+import CLEAR_MY_DEFAULT from '@salesforce/label/c.LeadQueue_ClearMyDefault';
+import SAVE_VIEW from '@salesforce/label/c.LeadQueue_SaveView';
+import SAVE_TEAM_VIEW from '@salesforce/label/c.LeadQueue_SaveTeamView';
+import NAME_VIEW from '@salesforce/label/c.LeadQueue_NameView';
+import NAME_TEAM_VIEW from '@salesforce/label/c.LeadQueue_NameTeamView';
+import VIEW_NAME_PLACEHOLDER from '@salesforce/label/c.LeadQueue_ViewNamePlaceholder';
+import ENTER_NEW_VIEW_NAME from '@salesforce/label/c.LeadQueue_EnterNewViewName';
+import CONFIRM_DELETE_VIEW from '@salesforce/label/c.LeadQueue_ConfirmDeleteView';
+import CONFIRM_DELETE_TEAM_VIEW from '@salesforce/label/c.LeadQueue_ConfirmDeleteTeamView';
+import VIEW_SAVED from '@salesforce/label/c.LeadQueue_ViewSaved';
+import VIEW_UPDATED from '@salesforce/label/c.LeadQueue_ViewUpdated';
+import VIEW_RENAMED from '@salesforce/label/c.LeadQueue_ViewRenamed';
+import VIEW_DELETED from '@salesforce/label/c.LeadQueue_ViewDeleted';
+import DEFAULT_VIEW_SET from '@salesforce/label/c.LeadQueue_DefaultViewSet';
+import DEFAULT_VIEW_CLEARED from '@salesforce/label/c.LeadQueue_DefaultViewCleared';
+import VIEW_ACTION_FAILED from '@salesforce/label/c.LeadQueue_ViewActionFailed';
+import COLUMNS from '@salesforce/label/c.LeadQueue_Columns';
+import TABLE_COLUMNS from '@salesforce/label/c.LeadQueue_TableColumns';
+import AVAILABLE_COLUMNS from '@salesforce/label/c.LeadQueue_AvailableColumns';
+import VISIBLE_COLUMNS from '@salesforce/label/c.LeadQueue_VisibleColumns';
+import TABLE_COLUMNS_HELP from '@salesforce/label/c.LeadQueue_TableColumnsHelp';
+import RESET_TO_DEFAULT from '@salesforce/label/c.LeadQueue_ResetToDefault';
+import PRIORITY from '@salesforce/label/c.LeadQueue_Priority';
+import NAME from '@salesforce/label/c.LeadQueue_Name';
+import REFERRED_BY from '@salesforce/label/c.LeadQueue_ReferredBy';
+import STATUS from '@salesforce/label/c.LeadQueue_Status';
+import CASE_TYPE from '@salesforce/label/c.LeadQueue_CaseType';
+import QUALIFICATION_STATUS from '@salesforce/label/c.LeadQueue_QualificationStatus';
+import CALL_DATE_TIME from '@salesforce/label/c.LeadQueue_CallDateTime';
+import LEAD_LOCAL_TIME from '@salesforce/label/c.LeadQueue_LeadLocalTime';
+import OUTSIDE_CALLING_HOURS from '@salesforce/label/c.LeadQueue_OutsideCallingHours';
+import PHONE from '@salesforce/label/c.LeadQueue_Phone';
+import CURRENTLY_ASSIGNED from '@salesforce/label/c.LeadQueue_CurrentlyAssigned';
+import TIME_ASSIGNED from '@salesforce/label/c.LeadQueue_TimeAssigned';
+import ASSIGNMENT_AGE_MINUTES from '@salesforce/label/c.LeadQueue_AssignmentAgeMinutes';
+import OPEN_RECORD from '@salesforce/label/c.LeadQueue_OpenRecord';
+import ASSIGN_TO_ME from '@salesforce/label/c.LeadQueue_AssignToMe';
+import SEARCH from '@salesforce/label/c.LeadQueue_Search';
+import SEARCH_PLACEHOLDER from '@salesforce/label/c.LeadQueue_SearchPlaceholder';
+import SEARCH_HELP from '@salesforce/label/c.LeadQueue_SearchHelp';
+import ALL_STATUSES from '@salesforce/label/c.LeadQueue_AllStatuses';
+import STATUS_FILTER_HELP from '@salesforce/label/c.LeadQueue_StatusFilterHelp';
+import ALL_CASE_TYPES from '@salesforce/label/c.LeadQueue_AllCaseTypes';
+import CASE_TYPE_FILTER_HELP from '@salesforce/label/c.LeadQueue_CaseTypeFilterHelp';
+import DUE_DATE from '@salesforce/label/c.LeadQueue_DueDate';
+import DUE_DATE_FILTER_HELP from '@salesforce/label/c.LeadQueue_DueDateFilterHelp';
+import ALL_DATES from '@salesforce/label/c.LeadQueue_AllDates';
+import DUE_TODAY from '@salesforce/label/c.LeadQueue_DueToday';
+import DUE_THIS_WEEK from '@salesforce/label/c.LeadQueue_DueThisWeek';
+import DUE_NEXT_WEEK from '@salesforce/label/c.LeadQueue_DueNextWeek';
+import DUE_OVERDUE from '@salesforce/label/c.LeadQueue_DueOverdue';
+import DUE_NEXT2_HOURS from '@salesforce/label/c.LeadQueue_DueNext2Hours';
+import DUE_TOMORROW from '@salesforce/label/c.LeadQueue_DueTomorrow';
+import DUE_CUSTOM_RANGE from '@salesforce/label/c.LeadQueue_DueCustomRange';
+import DUE_FROM from '@salesforce/label/c.LeadQueue_DueFrom';
+import DUE_TO from '@salesforce/label/c.LeadQueue_DueTo';
+import INVALID_DUE_DATE_RANGE from '@salesforce/label/c.LeadQueue_InvalidDueDateRange';
+import SCHEDULED_CALLS_WITH_OVERDUE from '@salesforce/label/c.LeadQueue_ScheduledCallsWithOverdue';
+import OVERDUE_SCHEDULED_CALLS_HELP from '@salesforce/label/c.LeadQueue_OverdueScheduledCallsHelp';
+import LOADING_LEAD_QUEUE from '@salesforce/label/c.LeadQueue_LoadingLeadQueue';
+import PREVIOUS from '@salesforce/label/c.LeadQueue_Previous';
+import NEXT from '@salesforce/label/c.LeadQueue_Next';
+import PAGE_OF from '@salesforce/label/c.LeadQueue_PageOf';
+import EMPTY_QUEUE_TITLE from '@salesforce/label/c.LeadQueue_EmptyQueueTitle';
+import EMPTY_QUEUE_MESSAGE from '@salesforce/label/c.LeadQueue_EmptyQueueMessage';
+import SELECT_A_VALUE from '@salesforce/label/c.LeadQueue_SelectAValue';
+import ROW_NOT_SAVED from '@salesforce/label/c.LeadQueue_RowNotSaved';
+import UPDATE_FAILED from '@salesforce/label/c.LeadQueue_UpdateFailed';
+import ONE_ROW_NOT_SAVED from '@salesforce/label/c.LeadQueue_OneRowNotSaved';
+import ROWS_NOT_SAVED from '@salesforce/label/c.LeadQueue_RowsNotSaved';
+import CHANGES_NOT_SAVED from '@salesforce/label/c.LeadQueue_ChangesNotSaved';
+import SAVED_ONE_ROW from '@salesforce/label/c.LeadQueue_SavedOneRow';
+import SAVED_ROWS from '@salesforce/label/c.LeadQueue_SavedRows';
+import EXPORT_FAILED from '@salesforce/label/c.LeadQueue_ExportFailed';
+import EXPORT_FAILED_WITH_ERROR from '@salesforce/label/c.LeadQueue_ExportFailedWithError';
+import EXPORT_LIMITED_TITLE from '@salesforce/label/c.LeadQueue_ExportLimitedTitle';
+import EXPORT_LIMITED_MESSAGE from '@salesforce/label/c.LeadQueue_ExportLimitedMessage';
+import EXPORTED_ROWS from '@salesforce/label/c.LeadQueue_ExportedRows';
+import BULK_SELECT_HELP from '@salesforce/label/c.LeadQueue_BulkSelectHelp';
+import DONE_SELECTING from '@salesforce/label/c.LeadQueue_DoneSelecting';
+import ONE_RECORD_SELECTED from '@salesforce/label/c.LeadQueue_OneRecordSelected';
+import RECORDS_SELECTED from '@salesforce/label/c.LeadQueue_RecordsSelected';
+import ASSIGN_TO from '@salesforce/label/c.LeadQueue_AssignTo';
+import CHANGE_STATUS from '@salesforce/label/c.LeadQueue_ChangeStatus';
+import APPLYING_BULK_ACTION from '@salesforce/label/c.LeadQueue_ApplyingBulkAction';
+import AGENT from '@salesforce/label/c.LeadQueue_Agent';
+import SEARCH_ACTIVE_USERS from '@salesforce/label/c.LeadQueue_SearchActiveUsers';
+import NEW_STATUS from '@salesforce/label/c.LeadQueue_NewStatus';
+import SELECT_A_STATUS from '@salesforce/label/c.LeadQueue_SelectAStatus';
+import NEW_CALL_TIME from '@salesforce/label/c.LeadQueue_NewCallTime';
+import NEW_CALL_TIME_HELP from '@salesforce/label/c.LeadQueue_NewCallTimeHelp';
+import APPLY_TO_ONE_RECORD from '@salesforce/label/c.LeadQueue_ApplyToOneRecord';
+import APPLY_TO_RECORDS from '@salesforce/label/c.LeadQueue_ApplyToRecords';
+import DISMISS_RESULTS from '@salesforce/label/c.LeadQueue_DismissResults';
+import BULK_ACTION_ASSIGN from '@salesforce/label/c.LeadQueue_BulkActionAssign';
+import BULK_ACTION_RELEASE from '@salesforce/label/c.LeadQueue_BulkActionRelease';
+import BULK_ACTION_STATUS from '@salesforce/label/c.LeadQueue_BulkActionStatus';
+import BULK_ACTION_RESCHEDULE from '@salesforce/label/c.LeadQueue_BulkActionReschedule';
+import BULK_ACTION from '@salesforce/label/c.LeadQueue_BulkAction';
+import BULK_ACTION_COMPLETE from '@salesforce/label/c.LeadQueue_BulkActionComplete';
+import BULK_ACTION_COUNTS from '@salesforce/label/c.LeadQueue_BulkActionCounts';
+import BULK_RESULTS_SUMMARY from '@salesforce/label/c.LeadQueue_BulkResultsSummary';
+import BULK_ACTION_FAILED from '@salesforce/label/c.LeadQueue_BulkActionFailed';
+import CHOOSE_BULK_VALUE from '@salesforce/label/c.LeadQueue_ChooseBulkValue';
+import RELEASE_ASSIGNMENTS from '@salesforce/label/c.LeadQueue_ReleaseAssignments';
+import CONFIRM_BULK_RELEASE from '@salesforce/label/c.LeadQueue_ConfirmBulkRelease';
+import LEAD from '@salesforce/label/c.LeadQueue_Lead';
+import TIME_HELD from '@salesforce/label/c.LeadQueue_TimeHeld';
+import EXPIRES_IN_COLUMN from '@salesforce/label/c.LeadQueue_ExpiresInColumn';
+import REASSIGN from '@salesforce/label/c.LeadQueue_Reassign';
+import FORCE_RELEASE from '@salesforce/label/c.LeadQueue_ForceRelease';
+import SKIPS from '@salesforce/label/c.LeadQueue_Skips';
+import SKIP_REASONS from '@salesforce/label/c.LeadQueue_SkipReasons';
+import LAST_SKIPPED from '@salesforce/label/c.LeadQueue_LastSkipped';
+import REFRESH_ASSIGNMENTS from '@salesforce/label/c.LeadQueue_RefreshAssignments';
+import LOADING_ASSIGNMENTS from '@salesforce/label/c.LeadQueue_LoadingAssignments';
+import SUPERVISOR_ACCESS_REQUIRED from '@salesforce/label/c.LeadQueue_SupervisorAccessRequired';
+import SUPERVISOR_ACCESS_HELP from '@salesforce/label/c.LeadQueue_SupervisorAccessHelp';
+import ACTIVE_CLAIMS_COUNT from '@salesforce/label/c.LeadQueue_ActiveClaimsCount';
+import CLAIM_EXPIRY_HELP from '@salesforce/label/c.LeadQueue_ClaimExpiryHelp';
+import NO_ACTIVE_CLAIMS from '@salesforce/label/c.LeadQueue_NoActiveClaims';
+import NO_ACTIVE_CLAIMS_HELP from '@salesforce/label/c.LeadQueue_NoActiveClaimsHelp';
+import SKIPPED_LEADS_LAST_WEEK from '@salesforce/label/c.LeadQueue_SkippedLeadsLastWeek';
+import NO_SKIPPED_LEADS from '@salesforce/label/c.LeadQueue_NoSkippedLeads';
+import LOAD_ASSIGNMENTS_FAILED from '@salesforce/label/c.LeadQueue_LoadAssignmentsFailed';
+import CONFIRM_FORCE_RELEASE from '@salesforce/label/c.LeadQueue_ConfirmForceRelease';
+import REASSIGN_HELD_BY from '@salesforce/label/c.LeadQueue_ReassignHeldBy';
+import CHOOSE_REASSIGN_AGENT from '@salesforce/label/c.LeadQueue_ChooseReassignAgent';
+import REASSIGNED_RECORD from '@salesforce/label/c.LeadQueue_ReassignedRecord';
+import REASSIGN_FAILED from '@salesforce/label/c.LeadQueue_ReassignFailed';
+import LEAD_QUEUE_ASSIGNMENT from '@salesforce/label/c.LeadQueue_LeadQueueAssignment';
+import CLAIM_RECORD from '@salesforce/label/c.LeadQueue_ClaimRecord';
+import CLAIMING from '@salesforce/label/c.LeadQueue_Claiming';
+import RELEASE_THIS_RECORD from '@salesforce/label/c.LeadQueue_ReleaseThisRecord';
+import TRANSFER_TO from '@salesforce/label/c.LeadQueue_TransferTo';
+import RECORD_CLAIMED from '@salesforce/label/c.LeadQueue_RecordClaimed';
+import RECORD_RELEASED from '@salesforce/label/c.LeadQueue_RecordReleased';
+import NO_RECORD_ID from '@salesforce/label/c.LeadQueue_NoRecordId';
+import CLAIM_FAILED from '@salesforce/label/c.LeadQueue_ClaimFailed';
+import RELEASE_RECORD_FAILED from '@salesforce/label/c.LeadQueue_ReleaseRecordFailed';
+import EXTEND_CLAIM_FAILED from '@salesforce/label/c.LeadQueue_ExtendClaimFailed';
+import THIS_RECORD_CLAIM_EXPIRING from '@salesforce/label/c.LeadQueue_ThisRecordClaimExpiring';
+import INTAKE_ALREADY_CLAIMED from '@salesforce/label/c.LeadQueue_IntakeAlreadyClaimed';
+import INTAKE_CLAIM_LIMIT_REACHED from '@salesforce/label/c.LeadQueue_IntakeClaimLimitReached';
+import RECORD_RESULT from '@salesforce/label/c.LeadQueue_RecordResult';
+import STATUS_VALUE from '@salesforce/label/c.LeadQueue_StatusValue';
+import NOTE_OPTIONAL from '@salesforce/label/c.LeadQueue_NoteOptional';
+import RESCHEDULE_IN_ONE_HOUR from '@salesforce/label/c.LeadQueue_RescheduleInOneHour';
+import RESCHEDULE_TOMORROW_MORNING from '@salesforce/label/c.LeadQueue_RescheduleTomorrowMorning';
+import CUSTOM_DATE_TIME from '@salesforce/label/c.LeadQueue_CustomDateTime';
+import RESCHEDULE_HELP from '@salesforce/label/c.LeadQueue_RescheduleHelp';
+import CALL_BACK_RECORD from '@salesforce/label/c.LeadQueue_CallBackRecord';
+import CALL_BACK from '@salesforce/label/c.LeadQueue_CallBack';
+import RESCHEDULING from '@salesforce/label/c.LeadQueue_Rescheduling';
+import CHOOSE_CALL_TIME from '@salesforce/label/c.LeadQueue_ChooseCallTime';
+import CHOOSE_FUTURE_CALL_TIME from '@salesforce/label/c.LeadQueue_ChooseFutureCallTime';
+import RESCHEDULE_FAILED from '@salesforce/label/c.LeadQueue_RescheduleFailed';
+import SELECT_A_REASON from '@salesforce/label/c.LeadQueue_SelectAReason';
+import WHY_SKIPPING_RECORD from '@salesforce/label/c.LeadQueue_WhySkippingRecord';
+import WHY_SKIPPING_LEAD from '@salesforce/label/c.LeadQueue_WhySkippingLead';
+import SKIPPING from '@salesforce/label/c.LeadQueue_Skipping';
+import CHOOSE_SKIP_REASON from '@salesforce/label/c.LeadQueue_ChooseSkipReason';
+import SKIP_FAILED from '@salesforce/label/c.LeadQueue_SkipFailed';
+import TRANSFER_RECORD_TO from '@salesforce/label/c.LeadQueue_TransferRecordTo';
+import TRANSFER_TO_PICKER from '@salesforce/label/c.LeadQueue_TransferToPicker';
+import TRANSFERRING from '@salesforce/label/c.LeadQueue_Transferring';
+import CHOOSE_TRANSFER_AGENT from '@salesforce/label/c.LeadQueue_ChooseTransferAgent';
+import TRANSFER_FAILED from '@salesforce/label/c.LeadQueue_TransferFailed';
+import LOG_CALLS_AND_RELEASE_RECORDS from '@salesforce/label/c.LeadQueue_LogCallsAndReleaseRecords';
+import CALL_DISPOSITION from '@salesforce/label/c.LeadQueue_CallDisposition';
+import SELECT_A_DISPOSITION from '@salesforce/label/c.LeadQueue_SelectADisposition';
+import COMMENTS_OPTIONAL from '@salesforce/label/c.LeadQueue_CommentsOptional';
+import RELEASE_WITHOUT_LOGGING from '@salesforce/label/c.LeadQueue_ReleaseWithoutLogging';
+import DISPOSITIONS_LOAD_FAILED from '@salesforce/label/c.LeadQueue_DispositionsLoadFailed';
+import QUALIFICATION_VALUE from '@salesforce/label/c.LeadQueue_QualificationValue';
+import NEXT_CALL_IN from '@salesforce/label/c.LeadQueue_NextCallIn';
+import ONE_HOUR from '@salesforce/label/c.LeadQueue_OneHour';
+import HOURS from '@salesforce/label/c.LeadQueue_Hours';
+import ONE_DAY from '@salesforce/label/c.LeadQueue_OneDay';
+import DAYS from '@salesforce/label/c.LeadQueue_Days';
+import CLAIM_HISTORY from '@salesforce/label/c.LeadQueue_ClaimHistory';
+import CLEAR_FILTERS from '@salesforce/label/c.LeadQueue_ClearFilters';
+import USER from '@salesforce/label/c.LeadQueue_User';
+import ALL_USERS from '@salesforce/label/c.LeadQueue_AllUsers';
+import FROM_DATE from '@salesforce/label/c.LeadQueue_FromDate';
+import TO_DATE from '@salesforce/label/c.LeadQueue_ToDate';
+import LOADING_CLAIM_HISTORY from '@salesforce/label/c.LeadQueue_LoadingClaimHistory';
+import CLAIM_HISTORY_LOAD_FAILED from '@salesforce/label/c.LeadQueue_ClaimHistoryLoadFailed';
+import NO_MATCHING_CLAIMS from '@salesforce/label/c.LeadQueue_NoMatchingClaims';
+import NOT_CLAIMED_YET from '@salesforce/label/c.LeadQueue_NotClaimedYet';
+import UNKNOWN_USER from '@salesforce/label/c.LeadQueue_UnknownUser';
+import CLAIMED_AT from '@salesforce/label/c.LeadQueue_ClaimedAt';
+import HELD_FOR from '@salesforce/label/c.LeadQueue_HeldFor';
+import ENDED_AT from '@salesforce/label/c.LeadQueue_EndedAt';
+import ENDED_BY from '@salesforce/label/c.LeadQueue_EndedBy';
+import OUTCOME_ACTIVE from '@salesforce/label/c.LeadQueue_OutcomeActive';
+import OUTCOME_RELEASED from '@salesforce/label/c.LeadQueue_OutcomeReleased';
+import OUTCOME_TRANSFERRED from '@salesforce/label/c.LeadQueue_OutcomeTransferred';
+import OUTCOME_REASSIGNED from '@salesforce/label/c.LeadQueue_OutcomeReassigned';
+import OUTCOME_AUTO_RELEASED from '@salesforce/label/c.LeadQueue_OutcomeAutoReleased';
+import OUTCOME_FORCE_RELEASED from '@salesforce/label/c.LeadQueue_OutcomeForceReleased';
+import OUTCOME_SKIPPED from '@salesforce/label/c.LeadQueue_OutcomeSkipped';
+import OUTCOME_RESCHEDULED from '@salesforce/label/c.LeadQueue_OutcomeRescheduled';
+import OUTCOME_EXPIRED from '@salesforce/label/c.LeadQueue_OutcomeExpired';
+import TOGGLE_ON from '@salesforce/label/c.LeadQueue_ToggleOn';
+import TOGGLE_OFF from '@salesforce/label/c.LeadQueue_ToggleOff';
+import TOGGLE_MUTED from '@salesforce/label/c.LeadQueue_ToggleMuted';
+import ALERT_ON_NEW_LEADS from '@salesforce/label/c.LeadQueue_AlertOnNewLeads';
+import MUTE_ALERTS from '@salesforce/label/c.LeadQueue_MuteAlerts';
+import ALERT_HIGH_PRIORITY from '@salesforce/label/c.LeadQueue_AlertHighPriority';
+import ALERT_SAVED_VIEW from '@salesforce/label/c.LeadQueue_AlertSavedView';
+import NONE from '@salesforce/label/c.LeadQueue_None';
+import ALERT_NEEDS_TRIGGER from '@salesforce/label/c.LeadQueue_AlertNeedsTrigger';
+import ALERT_WITH from '@salesforce/label/c.LeadQueue_AlertWith';
+import BROWSER_NOTIFICATION from '@salesforce/label/c.LeadQueue_BrowserNotification';
+import SOUND from '@salesforce/label/c.LeadQueue_Sound';
+import NOTIFICATIONS_BLOCKED from '@salesforce/label/c.LeadQueue_NotificationsBlocked';
+import NOTIFICATIONS_UNSUPPORTED from '@salesforce/label/c.LeadQueue_NotificationsUnsupported';
+import QUIET_HOURS_FROM from '@salesforce/label/c.LeadQueue_QuietHoursFrom';
+import QUIET_HOURS_TO from '@salesforce/label/c.LeadQueue_QuietHoursTo';
+import QUIET_HOURS_HELP from '@salesforce/label/c.LeadQueue_QuietHoursHelp';
+import SAVE from '@salesforce/label/c.LeadQueue_Save';
+
+export const LABELS = {
+    leadQueue: LEAD_QUEUE,
+    error: ERROR,
+    warning: WARNING,
+    success: SUCCESS,
+    cancel: CANCEL,
+    apply: APPLY,
+    clear: CLEAR,
+    select: SELECT,
+    record: RECORD,
+    unknown: UNKNOWN,
+    assignedRecord: ASSIGNED_RECORD,
+    assigned: ASSIGNED,
+    errorInvalidData: ERROR_INVALID_DATA,
+    errorAccessDenied: ERROR_ACCESS_DENIED,
+    errorTimedOut: ERROR_TIMED_OUT,
+    errorRequiredFieldMissing: ERROR_REQUIRED_FIELD_MISSING,
+    errorDataValidation: ERROR_DATA_VALIDATION,
+    errorGeneric: ERROR_GENERIC,
+    cacheWarning: CACHE_WARNING,
+    cacheUnavailable: CACHE_UNAVAILABLE,
+    cachePaused: CACHE_PAUSED,
+    cachePausedForAdmins: CACHE_PAUSED_FOR_ADMINS,
+    openSetup: OPEN_SETUP,
+    cacheNotConfigured: CACHE_NOT_CONFIGURED,
+    cacheCheckFailed: CACHE_CHECK_FAILED,
+    allLeads: ALL_LEADS,
+    highPriority: HIGH_PRIORITY,
+    inContact: IN_CONTACT,
+    noContact: NO_CONTACT,
+    retainerSent: RETAINER_SENT,
+    referrals: REFERRALS,
+    overSlaMinutes: OVER_SLA_MINUTES,
+    overSlaHelp: OVER_SLA_HELP,
+    getNextRecord: GET_NEXT_RECORD,
+    assigning: ASSIGNING,
+    releaseMyRecords: RELEASE_MY_RECORDS,
+    releaseAll: RELEASE_ALL,
+    release: RELEASE,
+    releasing: RELEASING,
+    extend: EXTEND,
+    extendClaim: EXTEND_CLAIM,
+    extending: EXTENDING,
+    transfer: TRANSFER,
+    skip: SKIP,
+    reschedule: RESCHEDULE,
+    rescheduleEllipsis: RESCHEDULE_ELLIPSIS,
+    claimCount: CLAIM_COUNT,
+    readyToCall: READY_TO_CALL,
+    scheduledCalls: SCHEDULED_CALLS,
+    exportView: EXPORT_VIEW,
+    exportHelp: EXPORT_HELP,
+    refreshHelp: REFRESH_HELP,
+    logCallAndRelease: LOG_CALL_AND_RELEASE,
+    loadFailed: LOAD_FAILED,
+    loadFailedWithError: LOAD_FAILED_WITH_ERROR,
+    anotherAgent: ANOTHER_AGENT,
+    leadTransferredTitle: LEAD_TRANSFERRED_TITLE,
+    leadTransferredMessage: LEAD_TRANSFERRED_MESSAGE,
+    transferNote: TRANSFER_NOTE,
+    assignmentFailed: ASSIGNMENT_FAILED,
+    releasedAllAssignments: RELEASED_ALL_ASSIGNMENTS,
+    releasedSomeAssignments: RELEASED_SOME_ASSIGNMENTS,
+    releasedRecord: RELEASED_RECORD,
+    releaseFailed: RELEASE_FAILED,
+    claimExtendedUntil: CLAIM_EXTENDED_UNTIL,
+    unableToExtendClaim: UNABLE_TO_EXTEND_CLAIM,
+    checkAssignmentsFailed: CHECK_ASSIGNMENTS_FAILED,
+    filterFailed: FILTER_FAILED,
+    alreadyClaimedBy: ALREADY_CLAIMED_BY,
+    timeAssignedTimer: TIME_ASSIGNED_TIMER,
+    expiresIn: EXPIRES_IN,
+    claimExpired: CLAIM_EXPIRED,
+    claimExpiringTitle: CLAIM_EXPIRING_TITLE,
+    claimExpiringMessage: CLAIM_EXPIRING_MESSAGE,
+    oneMinute: ONE_MINUTE,
+    minutes: MINUTES,
+    currentlyAssignedTo: CURRENTLY_ASSIGNED_TO,
+    connectionLive: CONNECTION_LIVE,
+    connectionReconnecting: CONNECTION_RECONNECTING,
+    connectionPolling: CONNECTION_POLLING,
+    connectionLiveHelp: CONNECTION_LIVE_HELP,
+    connectionReconnectingHelp: CONNECTION_RECONNECTING_HELP,
+    connectionPollingHelp: CONNECTION_POLLING_HELP,
+    keyboardShortcuts: KEYBOARD_SHORTCUTS,
+    keyboardShortcutsHelp: KEYBOARD_SHORTCUTS_HELP,
+    closeKeyboardShortcuts: CLOSE_KEYBOARD_SHORTCUTS,
+    shortcutOpenKeys: SHORTCUT_OPEN_KEYS,
+    shortcutAssignNext: SHORTCUT_ASSIGN_NEXT,
+    shortcutRelease: SHORTCUT_RELEASE,
+    shortcutRefresh: SHORTCUT_REFRESH,
+    shortcutSwitchView: SHORTCUT_SWITCH_VIEW,
+    shortcutToggleTile: SHORTCUT_TOGGLE_TILE,
+    shortcutFocusNext: SHORTCUT_FOCUS_NEXT,
+    shortcutFocusPrevious: SHORTCUT_FOCUS_PREVIOUS,
+    shortcutOpenFocused: SHORTCUT_OPEN_FOCUSED,
+    shortcutClaimFocused: SHORTCUT_CLAIM_FOCUSED,
+    shortcutToggleHelp: SHORTCUT_TOGGLE_HELP,
+    shortcutCloseHelp: SHORTCUT_CLOSE_HELP,
+    newLeadAlerts: NEW_LEAD_ALERTS,
+    newLeadAlertsOff: NEW_LEAD_ALERTS_OFF,
+    newLeadAlertsMuted: NEW_LEAD_ALERTS_MUTED,
+    newLeadAlertsOn: NEW_LEAD_ALERTS_ON,
+    newLeads: NEW_LEADS,
+    newLead: NEW_LEAD,
+    dismissNewLeadAlerts: DISMISS_NEW_LEAD_ALERTS,
+    newLeadAlertTitle: NEW_LEAD_ALERT_TITLE,
+    newLeadsAlertTitle: NEW_LEADS_ALERT_TITLE,
+    alertNamesAndMore: ALERT_NAMES_AND_MORE,
+    savedView: SAVED_VIEW,
+    savedViewActions: SAVED_VIEW_ACTIONS,
+    noSavedViews: NO_SAVED_VIEWS,
+    selectAView: SELECT_A_VIEW,
+    teamViewName: TEAM_VIEW_NAME,
+    defaultViewName: DEFAULT_VIEW_NAME,
+    saveAsNewView: SAVE_AS_NEW_VIEW,
+    saveAsTeamView: SAVE_AS_TEAM_VIEW,
+    updateViewFilters: UPDATE_VIEW_FILTERS,
+    renameView: RENAME_VIEW,
+    deleteView: DELETE_VIEW,
+    setAsMyDefault: SET_AS_MY_DEFAULT,
+    clearMyDefault: CLEAR_MY_DEFAULT,
+    saveView: SAVE_VIEW,
+    saveTeamView: SAVE_TEAM_VIEW,
+    nameView: NAME_VIEW,
+    nameTeamView: NAME_TEAM_VIEW,
+    viewNamePlaceholder: VIEW_NAME_PLACEHOLDER,
+    enterNewViewName: ENTER_NEW_VIEW_NAME,
+    confirmDeleteView: CONFIRM_DELETE_VIEW,
+    confirmDeleteTeamView: CONFIRM_DELETE_TEAM_VIEW,
+    viewSaved: VIEW_SAVED,
+    viewUpdated: VIEW_UPDATED,
+    viewRenamed: VIEW_RENAMED,
+    viewDeleted: VIEW_DELETED,
+    defaultViewSet: DEFAULT_VIEW_SET,
+    defaultViewCleared: DEFAULT_VIEW_CLEARED,
+    viewActionFailed: VIEW_ACTION_FAILED,
+    columns: COLUMNS,
+    tableColumns: TABLE_COLUMNS,
+    availableColumns: AVAILABLE_COLUMNS,
+    visibleColumns: VISIBLE_COLUMNS,
+    tableColumnsHelp: TABLE_COLUMNS_HELP,
+    resetToDefault: RESET_TO_DEFAULT,
+    priority: PRIORITY,
+    name: NAME,
+    referredBy: REFERRED_BY,
+    status: STATUS,
+    caseType: CASE_TYPE,
+    qualificationStatus: QUALIFICATION_STATUS,
+    callDateTime: CALL_DATE_TIME,
+    leadLocalTime: LEAD_LOCAL_TIME,
+    outsideCallingHours: OUTSIDE_CALLING_HOURS,
+    phone: PHONE,
+    currentlyAssigned: CURRENTLY_ASSIGNED,
+    timeAssigned: TIME_ASSIGNED,
+    assignmentAgeMinutes: ASSIGNMENT_AGE_MINUTES,
+    openRecord: OPEN_RECORD,
+    assignToMe: ASSIGN_TO_ME,
+    search: SEARCH,
+    searchPlaceholder: SEARCH_PLACEHOLDER,
+    searchHelp: SEARCH_HELP,
+    allStatuses: ALL_STATUSES,
+    statusFilterHelp: STATUS_FILTER_HELP,
+    allCaseTypes: ALL_CASE_TYPES,
+    caseTypeFilterHelp: CASE_TYPE_FILTER_HELP,
+    dueDate: DUE_DATE,
+    dueDateFilterHelp: DUE_DATE_FILTER_HELP,
+    allDates: ALL_DATES,
+    dueToday: DUE_TODAY,
+    dueThisWeek: DUE_THIS_WEEK,
+    dueNextWeek: DUE_NEXT_WEEK,
+    dueOverdue: DUE_OVERDUE,
+    dueNext2Hours: DUE_NEXT2_HOURS,
+    dueTomorrow: DUE_TOMORROW,
+    dueCustomRange: DUE_CUSTOM_RANGE,
+    dueFrom: DUE_FROM,
+    dueTo: DUE_TO,
+    invalidDueDateRange: INVALID_DUE_DATE_RANGE,
+    scheduledCallsWithOverdue: SCHEDULED_CALLS_WITH_OVERDUE,
+    overdueScheduledCallsHelp: OVERDUE_SCHEDULED_CALLS_HELP,
+    loadingLeadQueue: LOADING_LEAD_QUEUE,
+    previous: PREVIOUS,
+    next: NEXT,
+    pageOf: PAGE_OF,
+    emptyQueueTitle: EMPTY_QUEUE_TITLE,
+    emptyQueueMessage: EMPTY_QUEUE_MESSAGE,
+    selectAValue: SELECT_A_VALUE,
+    rowNotSaved: ROW_NOT_SAVED,
+    updateFailed: UPDATE_FAILED,
+    oneRowNotSaved: ONE_ROW_NOT_SAVED,
+    rowsNotSaved: ROWS_NOT_SAVED,
+    changesNotSaved: CHANGES_NOT_SAVED,
+    savedOneRow: SAVED_ONE_ROW,
+    savedRows: SAVED_ROWS,
+    exportFailed: EXPORT_FAILED,
+    exportFailedWithError: EXPORT_FAILED_WITH_ERROR,
+    exportLimitedTitle: EXPORT_LIMITED_TITLE,
+    exportLimitedMessage: EXPORT_LIMITED_MESSAGE,
+    exportedRows: EXPORTED_ROWS,
+    bulkSelectHelp: BULK_SELECT_HELP,
+    doneSelecting: DONE_SELECTING,
+    oneRecordSelected: ONE_RECORD_SELECTED,
+    recordsSelected: RECORDS_SELECTED,
+    assignTo: ASSIGN_TO,
+    changeStatus: CHANGE_STATUS,
+    applyingBulkAction: APPLYING_BULK_ACTION,
+    agent: AGENT,
+    searchActiveUsers: SEARCH_ACTIVE_USERS,
+    newStatus: NEW_STATUS,
+    selectAStatus: SELECT_A_STATUS,
+    newCallTime: NEW_CALL_TIME,
+    newCallTimeHelp: NEW_CALL_TIME_HELP,
+    applyToOneRecord: APPLY_TO_ONE_RECORD,
+    applyToRecords: APPLY_TO_RECORDS,
+    dismissResults: DISMISS_RESULTS,
+    bulkActionAssign: BULK_ACTION_ASSIGN,
+    bulkActionRelease: BULK_ACTION_RELEASE,
+    bulkActionStatus: BULK_ACTION_STATUS,
+    bulkActionReschedule: BULK_ACTION_RESCHEDULE,
+    bulkAction: BULK_ACTION,
+    bulkActionComplete: BULK_ACTION_COMPLETE,
+    bulkActionCounts: BULK_ACTION_COUNTS,
+    bulkResultsSummary: BULK_RESULTS_SUMMARY,
+    bulkActionFailed: BULK_ACTION_FAILED,
+    chooseBulkValue: CHOOSE_BULK_VALUE,
+    releaseAssignments: RELEASE_ASSIGNMENTS,
+    confirmBulkRelease: CONFIRM_BULK_RELEASE,
+    lead: LEAD,
+    timeHeld: TIME_HELD,
+    expiresInColumn: EXPIRES_IN_COLUMN,
+    reassign: REASSIGN,
+    forceRelease: FORCE_RELEASE,
+    skips: SKIPS,
+    skipReasons: SKIP_REASONS,
+    lastSkipped: LAST_SKIPPED,
+    refreshAssignments: REFRESH_ASSIGNMENTS,
+    loadingAssignments: LOADING_ASSIGNMENTS,
+    supervisorAccessRequired: SUPERVISOR_ACCESS_REQUIRED,
+    supervisorAccessHelp: SUPERVISOR_ACCESS_HELP,
+    activeClaimsCount: ACTIVE_CLAIMS_COUNT,
+    claimExpiryHelp: CLAIM_EXPIRY_HELP,
+    noActiveClaims: NO_ACTIVE_CLAIMS,
+    noActiveClaimsHelp: NO_ACTIVE_CLAIMS_HELP,
+    skippedLeadsLastWeek: SKIPPED_LEADS_LAST_WEEK,
+    noSkippedLeads: NO_SKIPPED_LEADS,
+    loadAssignmentsFailed: LOAD_ASSIGNMENTS_FAILED,
+    confirmForceRelease: CONFIRM_FORCE_RELEASE,
+    reassignHeldBy: REASSIGN_HELD_BY,
+    chooseReassignAgent: CHOOSE_REASSIGN_AGENT,
+    reassignedRecord: REASSIGNED_RECORD,
+    reassignFailed: REASSIGN_FAILED,
+    leadQueueAssignment: LEAD_QUEUE_ASSIGNMENT,
+    claimRecord: CLAIM_RECORD,
+    claiming: CLAIMING,
+    releaseThisRecord: RELEASE_THIS_RECORD,
+    transferTo: TRANSFER_TO,
+    recordClaimed: RECORD_CLAIMED,
+    recordReleased: RECORD_RELEASED,
+    noRecordId: NO_RECORD_ID,
+    claimFailed: CLAIM_FAILED,
+    releaseRecordFailed: RELEASE_RECORD_FAILED,
+    extendClaimFailed: EXTEND_CLAIM_FAILED,
+    thisRecordClaimExpiring: THIS_RECORD_CLAIM_EXPIRING,
+    intakeAlreadyClaimed: INTAKE_ALREADY_CLAIMED,
+    intakeClaimLimitReached: INTAKE_CLAIM_LIMIT_REACHED,
+    recordResult: RECORD_RESULT,
+    statusValue: STATUS_VALUE,
+    noteOptional: NOTE_OPTIONAL,
+    rescheduleInOneHour: RESCHEDULE_IN_ONE_HOUR,
+    rescheduleTomorrowMorning: RESCHEDULE_TOMORROW_MORNING,
+    customDateTime: CUSTOM_DATE_TIME,
+    rescheduleHelp: RESCHEDULE_HELP,
+    callBackRecord: CALL_BACK_RECORD,
+    callBack: CALL_BACK,
+    rescheduling: RESCHEDULING,
+    chooseCallTime: CHOOSE_CALL_TIME,
+    chooseFutureCallTime: CHOOSE_FUTURE_CALL_TIME,
+    rescheduleFailed: RESCHEDULE_FAILED,
+    selectAReason: SELECT_A_REASON,
+    whySkippingRecord: WHY_SKIPPING_RECORD,
+    whySkippingLead: WHY_SKIPPING_LEAD,
+    skipping: SKIPPING,
+    chooseSkipReason: CHOOSE_SKIP_REASON,
+    skipFailed: SKIP_FAILED,
+    transferRecordTo: TRANSFER_RECORD_TO,
+    transferToPicker: TRANSFER_TO_PICKER,
+    transferring: TRANSFERRING,
+    chooseTransferAgent: CHOOSE_TRANSFER_AGENT,
+    transferFailed: TRANSFER_FAILED,
+    logCallsAndReleaseRecords: LOG_CALLS_AND_RELEASE_RECORDS,
+    callDisposition: CALL_DISPOSITION,
+    selectADisposition: SELECT_A_DISPOSITION,
+    commentsOptional: COMMENTS_OPTIONAL,
+    releaseWithoutLogging: RELEASE_WITHOUT_LOGGING,
+    dispositionsLoadFailed: DISPOSITIONS_LOAD_FAILED,
+    qualificationValue: QUALIFICATION_VALUE,
+    nextCallIn: NEXT_CALL_IN,
+    oneHour: ONE_HOUR,
+    hours: HOURS,
+    oneDay: ONE_DAY,
+    days: DAYS,
+    claimHistory: CLAIM_HISTORY,
+    clearFilters: CLEAR_FILTERS,
+    user: USER,
+    allUsers: ALL_USERS,
+    fromDate: FROM_DATE,
+    toDate: TO_DATE,
+    loadingClaimHistory: LOADING_CLAIM_HISTORY,
+    claimHistoryLoadFailed: CLAIM_HISTORY_LOAD_FAILED,
+    noMatchingClaims: NO_MATCHING_CLAIMS,
+    notClaimedYet: NOT_CLAIMED_YET,
+    unknownUser: UNKNOWN_USER,
+    claimedAt: CLAIMED_AT,
+    heldFor: HELD_FOR,
+    endedAt: ENDED_AT,
+    endedBy: ENDED_BY,
+    outcomeActive: OUTCOME_ACTIVE,
+    outcomeReleased: OUTCOME_RELEASED,
+    outcomeTransferred: OUTCOME_TRANSFERRED,
+    outcomeReassigned: OUTCOME_REASSIGNED,
+    outcomeAutoReleased: OUTCOME_AUTO_RELEASED,
+    outcomeForceReleased: OUTCOME_FORCE_RELEASED,
+    outcomeSkipped: OUTCOME_SKIPPED,
+    outcomeRescheduled: OUTCOME_RESCHEDULED,
+    outcomeExpired: OUTCOME_EXPIRED,
+    toggleOn: TOGGLE_ON,
+    toggleOff: TOGGLE_OFF,
+    toggleMuted: TOGGLE_MUTED,
+    alertOnNewLeads: ALERT_ON_NEW_LEADS,
+    muteAlerts: MUTE_ALERTS,
+    alertHighPriority: ALERT_HIGH_PRIORITY,
+    alertSavedView: ALERT_SAVED_VIEW,
+    none: NONE,
+    alertNeedsTrigger: ALERT_NEEDS_TRIGGER,
+    alertWith: ALERT_WITH,
+    browserNotification: BROWSER_NOTIFICATION,
+    sound: SOUND,
+    notificationsBlocked: NOTIFICATIONS_BLOCKED,
+    notificationsUnsupported: NOTIFICATIONS_UNSUPPORTED,
+    quietHoursFrom: QUIET_HOURS_FROM,
+    quietHoursTo: QUIET_HOURS_TO,
+    quietHoursHelp: QUIET_HOURS_HELP,
+    save: SAVE
+};
+
+/**
+ * Fill the {0}, {1}... placeholders in a label with the given values
+ */
+export function formatLabel(label, ...values) {
+    return String(label || '').replace(/\{(\d+)\}/g, (placeholder, index) => {
+        const value = values[Number(index)];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
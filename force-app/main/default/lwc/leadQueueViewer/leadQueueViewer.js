@@ -1,38 +1,90 @@
 import { LightningElement, api, track, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
-import { NavigationMixin } from 'lightning/navigation';
+import { NavigationMixin, CurrentPageReference } from 'lightning/navigation';
+import { MessageContext } from 'lightning/messageService';
 import { IsConsoleNavigation } from 'lightning/platformWorkspaceApi';
-import { subscribe, unsubscribe, onError } from 'lightning/empApi';
+import { EnclosingUtilityId } from 'lightning/platformUtilityBarApi';
+import LightningPrompt from 'lightning/prompt';
+import LightningConfirm from 'lightning/confirm';
+import ClaimDispositionModal from 'c/claimDispositionModal';
 // Removed refreshApex import - pure LWC approach without Aura compatibility layer
 import Id from '@salesforce/user/Id';
 import getQueueDataPaged from '@salesforce/apex/LeadQueueService.getQueueDataPaged';
 import assignRecord from '@salesforce/apex/LeadQueueService.assignRecord';
 import assignNextAvailableRecord from '@salesforce/apex/LeadQueueService.assignNextAvailableRecord';
-import releaseUserAssignments from '@salesforce/apex/LeadQueueService.releaseUserAssignments';
 import getUserAssignmentData from '@salesforce/apex/LeadQueueService.getUserAssignmentData';
 import isCacheConfigured from '@salesforce/apex/LeadQueueService.isCacheConfigured';
 import getAssignedRecordSummary from '@salesforce/apex/LeadQueueService.getAssignedRecordSummary';
+import getClaimSettings from '@salesforce/apex/LeadQueueService.getClaimSettings';
+import getUserClaimExpirations from '@salesforce/apex/LeadQueueService.getUserClaimExpirations';
+import getActiveClaimTimestamps from '@salesforce/apex/LeadQueueService.getActiveClaimTimestamps';
+import getTransferNote from '@salesforce/apex/LeadQueueClaimHistoryService.getTransferNote';
 
 // Import utility modules
-import { SharedUtils } from 'c/sharedUtils';
+import { SharedUtils, ClaimExpiryTracker, ClaimExpiryNotifier, QueueMessenger, ConnectionManager, QUEUE_ACTIONS, DUE_DATE_RANGE } from 'c/sharedUtils';
+import { LABELS, formatLabel } from 'c/leadQueueLabels';
 import { ConsoleNavigationManager } from './utils/consoleNavigation';
 import { TimerManager } from './utils/timerManager';
 import { DataProcessor } from './utils/dataProcessor';
+import { PreferenceManager, PREFERENCE_KEYS } from './utils/preferenceManager';
+import { SavedViewManager } from './utils/savedViewManager';
+import { UrlStateManager } from './utils/urlStateManager';
+import { ColumnManager } from './utils/columnManager';
+import { CsvExporter } from './utils/csvExporter';
+import { BulkActionManager, BULK_ACTIONS } from './utils/bulkActionManager';
+import { InlineEditManager } from './utils/inlineEditManager';
+import { RowUpdateManager, CHANGE_TYPES } from './utils/rowUpdateManager';
+import { KeyboardShortcutManager } from './utils/keyboardShortcuts';
+import { LeadAlertManager, DEFAULT_ALERT_SETTINGS, getAlertTitle } from './utils/leadAlertManager';
+
+// Matches LeadQueueService.ERROR_INVALID_STATUS
+const INVALID_STATUS_ERROR = 'INVALID_STATUS';
 
 export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
     
     // Utility bar mode support
     @api utilityMode = false;
-    @api label = 'Lead Queue';
+    @api label = LABELS.leadQueue;
+    labels = LABELS;
     statusFilter = '';
     caseTypeFilter = '';
     dueDateFilter = '';
     activeTileFilter = null;
+    sortedBy;
+    sortedDirection = 'asc';
+    savedViews = [];
+    selectedViewId = '';
+    defaultViewId = null;
+    canManageSharedViews = false;
+    columns = [];
+    showColumnSettings = false;
+    pendingVisibleColumns = [];
+    canUseBulkActions = false;
+    bulkStatusOptions = [];
+    isSelectionMode = false;
+    selectedRowIds = [];
+    activeBulkAction = null;
+    bulkAgentId = null;
+    bulkStatus = '';
+    bulkCallAt = null;
+    isBulkProcessing = false;
+    bulkResults = null;
+    draftValues = [];
+    tableErrors = null;
+    isSavingInlineEdits = false;
 
     // Utility managers - initialized in connectedCallback
     consoleNavigation;
     timerManager;
     dataProcessor;
+    preferenceManager;
+    savedViewManager;
+    urlStateManager;
+    columnManager;
+    csvExporter;
+    bulkActionManager;
+    inlineEditManager;
+    currentPageReference;
     
     @track queueStats = SharedUtils.getDefaultStats();
     
@@ -48,13 +100,28 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
     @track hasAssignments = false;
     @track records = [];
     originalRecords = [];
-    @track assignedRecordSummary = null;
+    @track assignedRecordSummaries = {};
     @track currentTime = new Date();
     currentUserId = Id;
     userAssignedRecordIds = [];
     userAssignmentTimestamps = {};
+    claimExpirations = {};
+    claimExpiryTracker = new ClaimExpiryTracker();
+    claimExpiryNotifier = new ClaimExpiryNotifier(this, recordId => this.timerManager.getAssignedRecordDisplayName(recordId));
+    maxClaims = 1;
+    slaWarningMinutes = 0;
+    slaBreachMinutes = 0;
+    showOverSlaTile = false;
+    activeClaimTimestamps = [];
     isAssigning = false;
+    extendingRecordId = null;
+    releasingRecordId = null;
+    transferringRecordId = null;
+    skippingRecordId = null;
+    reschedulingRecordId = null;
+    rescheduleRow = null;
     isReleasing = false;
+    isExporting = false;
     @track showScheduledCalls = false;
     @track isLoadingState = false;
     @track isCacheReady = true;
@@ -66,27 +133,67 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
     timerInterval;
     // Removed wiredQueueResult - pure LWC approach without Aura compatibility layer
     filterTimeout;
+    searchTerm = '';
     filterRequestId = 0;
     hasInitialLoadCompleted = false;
     isAutoClearingInvalidStatus = false;
+    // Transfers already announced by this or another Lead Queue in the app
+    handledTransferKeys = new Set();
     eventChannel = '/event/LeadQueueRefresh__e';
-    empSubscription;
+    connectionStatus = null;
+    showShortcutHelp = false;
+    focusedRowId = null;
+    alertSettings = { ...DEFAULT_ALERT_SETTINGS };
+    showAlertSettings = false;
+    newLeadAlerts = [];
     eventRefreshTimeout;
     
     // Console navigation detection
     @wire(IsConsoleNavigation) isConsoleNavigation;
+    @wire(MessageContext) messageContext;
+    // Only set when the viewer runs in the utility bar
+    @wire(EnclosingUtilityId) utilityId;
+
+    // Browser back/forward and edited URLs arrive as new page references
+    @wire(CurrentPageReference)
+    wiredPageReference(pageReference) {
+        this.currentPageReference = pageReference;
+        if (this.urlStateManager && this.urlStateManager.handlePageReference(pageReference)) {
+            this.updateTileVisualState();
+            this.loadQueueData();
+        }
+    }
     
     get dueDateOptions() {
         return SharedUtils.dueDateOptions;
     }
+
+    get dueDateValue() {
+        return this.isDueDateRange ? DUE_DATE_RANGE : this.dueDateFilter;
+    }
+
+    get isDueDateRange() {
+        return SharedUtils.isDueDateRange(this.dueDateFilter);
+    }
+
+    get dueDateRange() {
+        return SharedUtils.parseDueDateRange(this.dueDateFilter) || { from: '', to: '' };
+    }
     
     get tableColumns() {
-        return this.dataProcessor ? this.dataProcessor.getTableColumns() : [];
+        return this.columns;
+    }
+
+    get sortKey() {
+        return this.dataProcessor && this.sortedBy ? this.dataProcessor.getSortKey(this.sortedBy) : null;
     }
     
     // Replace @wire with imperative calls to eliminate Aura compatibility layer
     async loadQueueData(options = {}) {
-        const { useSoftRefresh = false, bypassCache = false } = options;
+        const { useSoftRefresh = false, bypassCache = false, replaceUrlState = false } = options;
+        if (this.urlStateManager) {
+            this.urlStateManager.sync(replaceUrlState);
+        }
         this.filterRequestId++;
         const currentRequestId = this.filterRequestId;
         const shouldShowSpinner = !useSoftRefresh || !this.hasInitialLoadCompleted;
@@ -102,17 +209,22 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
                 pageNumber: this.currentPage,
                 pageSize: this.pageSize,
                 tileFilter: this.activeTileFilter,
-                bypassCache
+                bypassCache,
+                sortBy: this.sortKey,
+                sortDirection: this.sortKey ? this.sortedDirection : null,
+                searchTerm: this.searchTerm
             });
             
             // Only process if this is still the most recent request
             if (this.filterRequestId === currentRequestId) {
                 if (result && result.success) {
                     this.processQueueResponse(result);
+                    this.updateTileVisualState();
+                    this.pruneBulkSelection();
                     this.updateAssignedRecordSummaryFromDataset();
                     if (this.currentPage > this.totalPages) {
                         this.currentPage = this.totalPages;
-                        this.loadQueueData({ useSoftRefresh: true });
+                        this.loadQueueData({ useSoftRefresh: true, replaceUrlState: true });
                         return;
                     }
                     this.hasInitialLoadCompleted = true;
@@ -120,14 +232,14 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
                 } else {
                     const message = result && result.errorMessage
                         ? result.errorMessage
-                        : 'Failed to load lead queue.';
-                    if (this.statusFilter && message.includes('Invalid status filter') && !this.isAutoClearingInvalidStatus) {
+                        : LABELS.loadFailed;
+                    if (this.statusFilter && result && result.errorCode === INVALID_STATUS_ERROR && !this.isAutoClearingInvalidStatus) {
                         this.isAutoClearingInvalidStatus = true;
                         this.statusFilter = '';
-                        this.loadQueueData({ useSoftRefresh: true });
+                        this.loadQueueData({ useSoftRefresh: true, replaceUrlState: true });
                         return;
                     }
-                    this.showToast('Error', message, 'error');
+                    this.showToast(LABELS.error, message, 'error');
                     this.isAutoClearingInvalidStatus = false;
                 }
             }
@@ -148,7 +260,7 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
                 this.isAssigning = false;
                 this.isReleasing = false;
                 
-                this.showToast('Error', 'Failed to load lead queue: ' + this.getErrorMessage(error), 'error');
+                this.showToast(LABELS.error, formatLabel(LABELS.loadFailedWithError, this.getErrorMessage(error)), 'error');
                 this.hasInitialLoadCompleted = false;
             }
         } finally {
@@ -176,7 +288,7 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
                 this.clearAssignmentsState(true);
                 if (!this.hasShownCacheWarning) {
                     this.hasShownCacheWarning = true;
-                    this.showToast('Error', 'Platform Cache not configured. Please contact your administrator.', 'error');
+                    this.showToast(LABELS.error, LABELS.cacheNotConfigured, 'error');
                 }
             } else {
                 this.hasShownCacheWarning = false;
@@ -187,7 +299,7 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
             this.clearAssignmentsState(true);
             if (!this.hasShownCacheWarning) {
                 this.hasShownCacheWarning = true;
-                this.showToast('Error', 'Unable to verify Platform Cache configuration.', 'error');
+                this.showToast(LABELS.error, LABELS.cacheCheckFailed, 'error');
             }
         }
     }
@@ -200,7 +312,8 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
         this.hasAssignments = false;
         this.userAssignedRecordIds = [];
         this.userAssignmentTimestamps = {};
-        this.assignedRecordSummary = null;
+        this.claimExpirations = {};
+        this.assignedRecordSummaries = {};
     }
 
     clearAssignmentForRecord(recordId) {
@@ -233,6 +346,20 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
         this.consoleNavigation = new ConsoleNavigationManager(this);
         this.timerManager = new TimerManager(this);
         this.dataProcessor = new DataProcessor(this);
+        this.preferenceManager = new PreferenceManager(this);
+        this.savedViewManager = new SavedViewManager(this);
+        this.urlStateManager = new UrlStateManager(this);
+        this.urlStateManager.handlePageReference(this.currentPageReference);
+        this.columnManager = new ColumnManager(this);
+        this.columnManager.refresh();
+        this.csvExporter = new CsvExporter(this);
+        this.bulkActionManager = new BulkActionManager(this);
+        this.inlineEditManager = new InlineEditManager(this);
+        this.rowUpdateManager = new RowUpdateManager(this);
+        this.connectionManager = new ConnectionManager(this, this.eventChannel);
+        this.shortcutManager = new KeyboardShortcutManager(this);
+        this.shortcutManager.attach();
+        this.leadAlertManager = new LeadAlertManager(this);
 
         if (this.timerInterval) {
             clearInterval(this.timerInterval);
@@ -241,9 +368,24 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
         
         // Console app warm-up optimizations
         this.consoleNavigation.warmUpConsoleApp();
-        this.subscribeToRefreshEvents();
-        this.checkCacheHealth()
+        this.connectionManager.connect();
+        this.queueMessenger = new QueueMessenger(this.messageContext);
+        this.queueMessenger.subscribe(message => this.handleQueueMessage(message));
+        Promise.all([
+            this.checkCacheHealth(),
+            this.loadUserPreferences(),
+            this.savedViewManager.load(),
+            this.columnManager.loadExtraColumns(),
+            this.bulkActionManager.load(),
+            this.inlineEditManager.load(),
+            this.loadClaimSettings()
+        ])
             .then(() => {
+                this.columnManager.refresh();
+                // A deep link takes precedence over the user's default saved view
+                if (!this.urlStateManager.hydrate()) {
+                    this.applyDefaultView();
+                }
                 this.loadQueueData();
                 if (this.isCacheReady) {
                     this.checkUserAssignments();
@@ -251,6 +393,8 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
             })
             .catch((error) => {
                 console.error('Cache warm-up check error:', error);
+                this.columnManager.refresh();
+                this.urlStateManager.hydrate();
                 this.loadQueueData();
             });
         
@@ -275,7 +419,26 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
             this.eventRefreshTimeout = null;
         }
 
-        this.unsubscribeFromRefreshEvents();
+        if (this.columnManager) {
+            this.columnManager.clearPendingSave();
+        }
+
+        if (this.connectionManager) {
+            this.connectionManager.disconnect();
+            this.connectionManager = null;
+        }
+        if (this.shortcutManager) {
+            this.shortcutManager.detach();
+            this.shortcutManager = null;
+        }
+        if (this.leadAlertManager) {
+            this.leadAlertManager.stop();
+            this.leadAlertManager = null;
+        }
+        if (this.queueMessenger) {
+            this.queueMessenger.unsubscribe();
+            this.queueMessenger = null;
+        }
         
         // Enhanced cleanup to prevent memory leaks
         this.filterRequestId = 0;
@@ -293,47 +456,208 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
         this.hasAssignments = false;
         this.isAssigning = false;
         this.isReleasing = false;
-        this.assignedRecordSummary = null;
+        this.assignedRecordSummaries = {};
 
         // Clean up utility managers
         this.consoleNavigation = null;
         this.timerManager = null;
         this.dataProcessor = null;
+        this.preferenceManager = null;
     }
 
-    async subscribeToRefreshEvents() {
-        if (this.empSubscription) {
+    async loadUserPreferences() {
+        if (!this.preferenceManager) {
             return;
         }
+        await this.preferenceManager.load();
+        this.applySortPreference(this.preferenceManager.get(PREFERENCE_KEYS.SORT));
+        this.defaultViewId = this.preferenceManager.get(PREFERENCE_KEYS.DEFAULT_VIEW);
+        if (this.leadAlertManager) {
+            this.leadAlertManager.load();
+        }
+    }
+
+    async loadClaimSettings() {
         try {
-            this.empSubscription = await subscribe(this.eventChannel, -1, () => {
-                this.scheduleEventRefresh();
-            });
+            const settings = await getClaimSettings();
+            this.claimExpiryTracker.setWarningMinutes(settings ? settings.warningMinutes : []);
+            this.slaWarningMinutes = (settings && settings.slaWarningMinutes) || 0;
+            this.slaBreachMinutes = (settings && settings.slaBreachMinutes) || 0;
+            this.showOverSlaTile = Boolean(settings && settings.showOverSlaTile) && !this.utilityMode;
+            this.maxClaims = (settings && settings.maxClaims) || 1;
         } catch (error) {
-            console.error('Failed to subscribe to Lead Queue refresh events:', error);
+            console.error('Failed to load Lead Queue claim settings:', error);
         }
+        this.loadActiveClaimTimestamps();
+    }
 
-        onError((error) => {
-            console.error('Lead Queue refresh event error:', error);
-        });
+    /**
+     * Assignment times of every active claim, for the Over SLA tile
+     */
+    async loadActiveClaimTimestamps() {
+        if (!this.showOverSlaTile) {
+            return;
+        }
+        try {
+            const timestamps = await getActiveClaimTimestamps();
+            this.activeClaimTimestamps = Array.isArray(timestamps) ? timestamps : [];
+        } catch (error) {
+            console.error('Failed to load active claim times:', error);
+            this.activeClaimTimestamps = [];
+        }
     }
 
-    unsubscribeFromRefreshEvents() {
-        if (!this.empSubscription) {
+    applyDefaultView() {
+        if (this.defaultViewId && this.savedViewManager) {
+            this.savedViewManager.applyView(this.defaultViewId);
+        }
+    }
+
+    applySortPreference(sortPreference) {
+        const fieldName = sortPreference && this.dataProcessor
+            ? this.dataProcessor.getSortFieldName(sortPreference.sortBy)
+            : null;
+        if (!fieldName) {
             return;
         }
-        unsubscribe(this.empSubscription, () => {
-            this.empSubscription = null;
-        });
+        this.sortedBy = fieldName;
+        this.sortedDirection = sortPreference.sortDirection === 'desc' ? 'desc' : 'asc';
+    }
+
+    handleRefreshEvent(message) {
+        this.handleIncomingTransfer(message);
+        const payload = message && message.data ? message.data.payload : null;
+        const changeType = payload ? payload.Change_Type__c : null;
+        const recordIds = payload && payload.Record_Ids__c ? payload.Record_Ids__c.split(',') : [];
+        if (changeType === CHANGE_TYPES.INSERT && this.leadAlertManager) {
+            this.leadAlertManager.handleNewRecords(recordIds);
+        }
+        this.scheduleEventRefresh(changeType, recordIds);
+    }
+
+    /**
+     * Streaming is down: reload on an interval until the connection comes back
+     */
+    handleRefreshPoll() {
+        if (this.isLoadingState) {
+            return;
+        }
+        this.scheduleEventRefresh();
+    }
+
+    /**
+     * Back online: events published while disconnected are lost, so reload once to catch up
+     */
+    handleConnectionRestored() {
+        this.scheduleEventRefresh();
+    }
+
+    get showConnectionStatus() {
+        return !!this.connectionStatus;
+    }
+
+    get connectionStatusLabel() {
+        return ConnectionManager.getStatusLabel(this.connectionStatus);
+    }
+
+    get connectionStatusTitle() {
+        return ConnectionManager.getStatusTitle(this.connectionStatus);
     }
 
-    scheduleEventRefresh() {
+    get connectionStatusClass() {
+        return `connection-status connection-status-${this.connectionStatus}`;
+    }
+
+    /**
+     * A claim transferred to this user: tell them who sent it, with any note from the claim history, and open the record.
+     * Every open Lead Queue gets the event, so the first to handle it publishes TRANSFER_RECEIVED and the others skip it.
+     */
+    async handleIncomingTransfer(message) {
+        const payload = message && message.data ? message.data.payload : null;
+        if (!payload || payload.Reason__c !== 'transfer' || payload.Target_User_Id__c !== this.currentUserId) {
+            return;
+        }
+        const event = message.data.event;
+        const transferKey = `${payload.Record_Id__c}:${event && event.replayId ? event.replayId : payload.CreatedDate}`;
+        if (this.handledTransferKeys.has(transferKey)) {
+            return;
+        }
+        this.handledTransferKeys.add(transferKey);
+        if (this.queueMessenger) {
+            this.queueMessenger.publish(QUEUE_ACTIONS.TRANSFER_RECEIVED, [payload.Record_Id__c], { transferKey });
+        }
+        const sender = payload.Sender_Name__c || LABELS.anotherAgent;
+        let transferNote = null;
+        if (payload.Record_Id__c) {
+            try {
+                transferNote = await getTransferNote({ recordId: payload.Record_Id__c });
+            } catch (error) {
+                console.error('Failed to load transfer note:', error);
+            }
+        }
+        const note = transferNote ? ` ${formatLabel(LABELS.transferNote, transferNote)}` : '';
+        this.showToast(LABELS.leadTransferredTitle, `${formatLabel(LABELS.leadTransferredMessage, sender)}${note}`, 'info');
+        if (payload.Record_Id__c) {
+            this.navigateToRecord(payload.Record_Id__c);
+        }
+    }
+
+    /**
+     * Queue activity from another component (utility bar, console tab, record page claim button).
+     * Apply what we can locally so the row changes right away, then fetch the affected rows for the rest.
+     */
+    handleQueueMessage(message) {
+        const recordIds = Array.isArray(message.recordIds) ? message.recordIds : [];
+        let changeType = CHANGE_TYPES.CLAIM;
+        if (this.claimExpiryNotifier.handleQueueMessage(message)) {
+            return;
+        }
+        switch (message.action) {
+            case QUEUE_ACTIONS.ALERT:
+                if (this.leadAlertManager) {
+                    this.leadAlertManager.markAlerted(recordIds);
+                }
+                return;
+            case QUEUE_ACTIONS.TRANSFER_RECEIVED:
+                if (message.userId === this.currentUserId && message.transferKey) {
+                    this.handledTransferKeys.add(message.transferKey);
+                }
+                return;
+            case QUEUE_ACTIONS.RELEASE:
+            case QUEUE_ACTIONS.TRANSFER:
+            case QUEUE_ACTIONS.SKIP:
+                changeType = CHANGE_TYPES.RELEASE;
+                recordIds.forEach(recordId => this.clearAssignmentForRecord(recordId));
+                break;
+            case QUEUE_ACTIONS.RESCHEDULE:
+                changeType = CHANGE_TYPES.UPDATE;
+                recordIds.forEach(recordId => {
+                    this.clearAssignmentForRecord(recordId);
+                    if (this.dataProcessor) {
+                        this.dataProcessor.applyRescheduledRecord(recordId, message.callAt);
+                    }
+                });
+                break;
+            default:
+                break;
+        }
+        this.scheduleEventRefresh(changeType, recordIds);
+    }
+
+    /**
+     * Collect the changes from refresh events arriving close together and apply them in one go
+     */
+    scheduleEventRefresh(changeType, recordIds) {
+        if (this.rowUpdateManager) {
+            this.rowUpdateManager.addChange(changeType, recordIds);
+        }
         if (this.eventRefreshTimeout) {
             return;
         }
         this.eventRefreshTimeout = setTimeout(() => {
             this.eventRefreshTimeout = null;
-            this.refreshQueueData({ useSoftRefresh: true, bypassCache: true });
+            this.applyQueueChanges();
+            this.loadActiveClaimTimestamps();
             if (this.isCacheReady) {
                 this.checkUserAssignments();
             } else {
@@ -342,6 +666,29 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
         }, 500);
     }
     
+    /**
+     * Patch the rows named in the events, reloading the page only when that can't be done locally
+     */
+    async applyQueueChanges() {
+        let isApplied = false;
+        if (this.rowUpdateManager && this.hasInitialLoadCompleted) {
+            try {
+                isApplied = await this.rowUpdateManager.applyPendingChanges();
+            } catch (error) {
+                console.error('Failed to apply Lead Queue row updates:', error);
+            }
+        } else if (this.rowUpdateManager) {
+            this.rowUpdateManager.clear();
+        }
+        if (!isApplied) {
+            await this.refreshQueueData({ useSoftRefresh: true, bypassCache: true });
+            return;
+        }
+        this.updateTileVisualState();
+        this.pruneBulkSelection();
+        this.updateAssignedRecordSummaryFromDataset();
+    }
+    
     processQueueResponse(data) {
         if (this.dataProcessor) {
             this.dataProcessor.processQueueResponse(data);
@@ -370,7 +717,7 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
     
     async handleAssignNext() {
         if (!this.isCacheReady) {
-            this.showToast('Error', 'Platform Cache not configured. Please contact your administrator.', 'error');
+            this.showToast(LABELS.error, LABELS.cacheNotConfigured, 'error');
             return;
         }
         this.isAssigning = true;
@@ -388,6 +735,7 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
                 
                 // Non-blocking navigation - don't wait for tab to open
                 this.navigateToRecord(result.recordId);
+                this.publishQueueAction(QUEUE_ACTIONS.NEXT, [result.recordId]);
                 
                 // Assignment timestamp handled by server Platform Cache
                 
@@ -395,17 +743,14 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
                 Promise.all([
                     this.refreshQueueData({ useSoftRefresh: true, bypassCache: true }),
                     this.checkUserAssignments()
-                ]).then(() => {
-                    // Force re-render of utility interface
-                    this.dispatchEvent(new CustomEvent('assignmentchanged'));
-                }).catch(error => {
+                ]).catch(error => {
                     console.error('Error refreshing after assignment:', error);
                 });
             } else {
-                this.showToast('Warning', result.message, 'warning');
+                this.showToast(LABELS.warning, result.message, 'warning');
             }
         } catch (error) {
-            this.showToast('Error', 'Assignment failed: ' + this.getErrorMessage(error), 'error');
+            this.showToast(LABELS.error, formatLabel(LABELS.assignmentFailed, this.getErrorMessage(error)), 'error');
         } finally {
             this.isAssigning = false;
         }
@@ -425,13 +770,16 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
             case 'open':
                 this.navigateToRecord(originalRecordId);
                 break;
+            case 'reschedule':
+                this.rescheduleRow = { recordId: originalRecordId, name: row.litify_pm__Display_Name__c || row.Name };
+                break;
         }
     }
     
     
     async assignRecordToUser(recordId) {
         if (!this.isCacheReady) {
-            this.showToast('Error', 'Platform Cache not configured. Please contact your administrator.', 'error');
+            this.showToast(LABELS.error, LABELS.cacheNotConfigured, 'error');
             return;
         }
         this.isAssigning = true;
@@ -443,6 +791,7 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
                 
                 // Non-blocking navigation - don't wait for tab to open
                 this.navigateToRecord(recordId);
+                this.publishQueueAction(QUEUE_ACTIONS.CLAIM, [recordId]);
                 
                 // Assignment timestamp handled by server Platform Cache
                 
@@ -450,36 +799,50 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
                 Promise.all([
                     this.refreshQueueData({ useSoftRefresh: true, bypassCache: true }),
                     this.checkUserAssignments()
-                ]).then(() => {
-                    // Force re-render of utility interface
-                    this.dispatchEvent(new CustomEvent('assignmentchanged'));
-                }).catch(error => {
+                ]).catch(error => {
                     console.error('Error refreshing after assignment:', error);
                 });
             } else {
-                this.showToast('Warning', result.message, 'warning');
+                this.showToast(LABELS.warning, result.message, 'warning');
             }
         } catch (error) {
-            this.showToast('Error', 'Assignment failed: ' + this.getErrorMessage(error), 'error');
+            this.showToast(LABELS.error, formatLabel(LABELS.assignmentFailed, this.getErrorMessage(error)), 'error');
         } finally {
             this.isAssigning = false;
         }
     }
     
+    /**
+     * Release every claim the user holds
+     */
     async handleReleaseAssignments() {
         if (!this.isCacheReady) {
-            this.showToast('Error', 'Platform Cache not configured. Please contact your administrator.', 'error');
+            this.showToast(LABELS.error, LABELS.cacheNotConfigured, 'error');
+            return;
+        }
+        const claimedRecordIds = [...this.userAssignedRecordIds];
+        if (!claimedRecordIds.length) {
             return;
         }
         this.isReleasing = true;
         try {
-            const releasedRecordId = this.assignedRecordId;
-            await releaseUserAssignments({ recordId: releasedRecordId });
-            this.showToast('Success', 'Released all assignments', 'success');
-            this.clearAssignmentsState();
-            if (releasedRecordId) {
-                this.clearAssignmentForRecord(releasedRecordId);
+            const releasedRecordIds = await this.openDispositionDialog(claimedRecordIds);
+            if (!releasedRecordIds.length) {
+                return;
+            }
+            const isAllReleased = releasedRecordIds.length === claimedRecordIds.length;
+            this.showToast(
+                LABELS.success,
+                isAllReleased
+                    ? LABELS.releasedAllAssignments
+                    : formatLabel(LABELS.releasedSomeAssignments, releasedRecordIds.length, claimedRecordIds.length),
+                'success'
+            );
+            if (isAllReleased) {
+                this.clearAssignmentsState();
             }
+            releasedRecordIds.forEach(recordId => this.clearAssignmentForRecord(recordId));
+            this.publishQueueAction(QUEUE_ACTIONS.RELEASE, releasedRecordIds);
             
             // Assignment cleanup handled by server Platform Cache
             
@@ -487,14 +850,151 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
                 this.refreshQueueData({ bypassCache: true }),
                 this.checkUserAssignments()
             ]);
-            // Force re-render of utility interface
-            this.dispatchEvent(new CustomEvent('assignmentchanged'));
         } catch (error) {
-            this.showToast('Error', 'Release failed: ' + this.getErrorMessage(error), 'error');
+            this.showToast(LABELS.error, formatLabel(LABELS.releaseFailed, this.getErrorMessage(error)), 'error');
         } finally {
             this.isReleasing = false;
         }
     }
+
+    /**
+     * Ask for a call disposition for each claim and release them; resolves with the record Ids released
+     */
+    async openDispositionDialog(recordIds) {
+        const claims = recordIds.map(recordId => ({
+            recordId,
+            displayName: this.timerManager ? this.timerManager.getAssignedRecordDisplayName(recordId) : LABELS.record
+        }));
+        const result = await ClaimDispositionModal.open({
+            size: 'small',
+            label: LABELS.logCallAndRelease,
+            claims
+        });
+        return (result && Array.isArray(result.releasedRecordIds)) ? result.releasedRecordIds : [];
+    }
+
+    /**
+     * Release a single claim from the utility bar
+     */
+    async handleReleaseClaim(event) {
+        const recordId = event.currentTarget.dataset.recordId;
+        if (!recordId || !this.isCacheReady || this.releasingRecordId) {
+            return;
+        }
+        const displayName = this.timerManager ? this.timerManager.getAssignedRecordDisplayName(recordId) : LABELS.record;
+        this.releasingRecordId = recordId;
+        try {
+            const releasedRecordIds = await this.openDispositionDialog([recordId]);
+            if (!releasedRecordIds.length) {
+                return;
+            }
+            this.showToast(LABELS.success, formatLabel(LABELS.releasedRecord, displayName), 'success');
+            this.clearAssignmentForRecord(recordId);
+            this.publishQueueAction(QUEUE_ACTIONS.RELEASE, [recordId]);
+            await Promise.all([
+                this.refreshQueueData({ useSoftRefresh: true, bypassCache: true }),
+                this.checkUserAssignments()
+            ]);
+        } catch (error) {
+            this.showToast(LABELS.error, formatLabel(LABELS.releaseFailed, this.getErrorMessage(error)), 'error');
+        } finally {
+            this.releasingRecordId = null;
+        }
+    }
+    
+    handleStartTransfer(event) {
+        this.skippingRecordId = null;
+        this.reschedulingRecordId = null;
+        this.transferringRecordId = event.currentTarget.dataset.recordId || null;
+    }
+
+    handleCancelTransfer() {
+        this.transferringRecordId = null;
+    }
+
+    async handleClaimTransferred(event) {
+        const recordId = event.detail.recordId;
+        this.transferringRecordId = null;
+        this.clearAssignmentForRecord(recordId);
+        this.publishQueueAction(QUEUE_ACTIONS.TRANSFER, [recordId]);
+        await Promise.all([
+            this.refreshQueueData({ useSoftRefresh: true, bypassCache: true }),
+            this.checkUserAssignments()
+        ]);
+    }
+
+    handleStartSkip(event) {
+        this.transferringRecordId = null;
+        this.reschedulingRecordId = null;
+        this.skippingRecordId = event.currentTarget.dataset.recordId || null;
+    }
+
+    handleCancelSkip() {
+        this.skippingRecordId = null;
+    }
+
+    async handleClaimSkipped(event) {
+        const recordId = event.detail.recordId;
+        this.skippingRecordId = null;
+        this.clearAssignmentForRecord(recordId);
+        this.publishQueueAction(QUEUE_ACTIONS.SKIP, [recordId]);
+        await Promise.all([
+            this.refreshQueueData({ useSoftRefresh: true, bypassCache: true }),
+            this.checkUserAssignments()
+        ]);
+    }
+    
+    handleStartReschedule(event) {
+        this.transferringRecordId = null;
+        this.skippingRecordId = null;
+        this.reschedulingRecordId = event.currentTarget.dataset.recordId || null;
+    }
+
+    handleCancelReschedule() {
+        this.reschedulingRecordId = null;
+        this.rescheduleRow = null;
+    }
+
+    /**
+     * Moves the row out of Ready to Call right away; the refresh then picks up its place in Scheduled Calls
+     */
+    async handleRecordRescheduled(event) {
+        const { recordId, callAt } = event.detail;
+        const wasClaimed = this.userAssignedRecordIds.includes(recordId);
+        this.reschedulingRecordId = null;
+        this.rescheduleRow = null;
+        this.clearAssignmentForRecord(recordId);
+        if (this.dataProcessor) {
+            this.dataProcessor.applyRescheduledRecord(recordId, callAt);
+        }
+        this.publishQueueAction(QUEUE_ACTIONS.RESCHEDULE, [recordId], { callAt });
+        await Promise.all([
+            this.refreshQueueData({ useSoftRefresh: true, bypassCache: true }),
+            wasClaimed ? this.checkUserAssignments() : Promise.resolve()
+        ]);
+    }
+
+    /**
+     * Tell the other queue components (utility bar, console tabs, record pages, dialer) what this user just did
+     */
+    publishQueueAction(action, recordIds, details) {
+        if (this.queueMessenger) {
+            this.queueMessenger.publish(action, recordIds, details);
+        }
+    }
+    
+    async handleExtendClaim(event) {
+        const recordId = (event && event.currentTarget.dataset.recordId) || this.nextExpiringRecordId;
+        if (!recordId || this.extendingRecordId) {
+            return;
+        }
+        this.extendingRecordId = recordId;
+        try {
+            await this.claimExpiryNotifier.extend(recordId);
+        } finally {
+            this.extendingRecordId = null;
+        }
+    }
     
     async checkUserAssignments() {
         if (!this.isCacheReady) {
@@ -502,18 +1002,22 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
             return;
         }
         try {
-            const assignmentData = await getUserAssignmentData();
+            const [assignmentData, claimExpirations] = await Promise.all([
+                getUserAssignmentData(),
+                getUserClaimExpirations()
+            ]);
             const oldHasAssignments = this.hasAssignments;
             
-            // Store both record IDs and timestamps
+            // Store record IDs, timestamps and claim expiry times
             this.userAssignedRecordIds = Object.keys(assignmentData);
             this.userAssignmentTimestamps = assignmentData;
+            this.claimExpirations = claimExpirations || {};
             this.hasAssignments = this.userAssignedRecordIds.length > 0;
 
             if (this.hasAssignments) {
-                await this.refreshAssignedRecordSummary();
+                await this.refreshAssignedRecordSummaries();
             } else {
-                this.assignedRecordSummary = null;
+                this.assignedRecordSummaries = {};
             }
             
             // If assignment status changed, force template refresh
@@ -527,7 +1031,7 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
             }
         } catch (error) {
             console.error('Check assignments error details:', error);
-            this.showToast('Error', 'Failed to check assignments: ' + this.getErrorMessage(error), 'error');
+            this.showToast(LABELS.error, formatLabel(LABELS.checkAssignmentsFailed, this.getErrorMessage(error)), 'error');
         }
     }
 
@@ -548,51 +1052,60 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
         return null;
     }
 
-    updateAssignedRecordSummaryFromDataset() {
-        if (!this.hasAssignments || !Array.isArray(this.userAssignedRecordIds) || this.userAssignedRecordIds.length === 0) {
-            return;
-        }
-        const recordId = this.userAssignedRecordIds[0];
+    buildSummaryFromDataset(recordId) {
         const match = this.findAssignedRecordInDataset(recordId);
-        if (match) {
-            this.assignedRecordSummary = {
+        return match
+            ? {
                 recordId,
-                displayName: match.litify_pm__Display_Name__c || match.Name || 'Assigned Record',
+                displayName: match.litify_pm__Display_Name__c || match.Name || LABELS.assignedRecord,
                 status: match.Status || null
-            };
-        }
+            }
+            : null;
     }
 
-    async refreshAssignedRecordSummary() {
+    updateAssignedRecordSummaryFromDataset() {
         if (!this.hasAssignments || !Array.isArray(this.userAssignedRecordIds) || this.userAssignedRecordIds.length === 0) {
-            this.assignedRecordSummary = null;
             return;
         }
-        const recordId = this.userAssignedRecordIds[0];
-        const match = this.findAssignedRecordInDataset(recordId);
-        if (match) {
-            this.assignedRecordSummary = {
-                recordId,
-                displayName: match.litify_pm__Display_Name__c || match.Name || 'Assigned Record',
-                status: match.Status || null
-            };
+        const summaries = { ...this.assignedRecordSummaries };
+        this.userAssignedRecordIds.forEach(recordId => {
+            const summary = this.buildSummaryFromDataset(recordId);
+            if (summary) {
+                summaries[recordId] = summary;
+            }
+        });
+        this.assignedRecordSummaries = summaries;
+    }
+
+    /**
+     * Name and status for each claim, from the loaded page when possible and the server otherwise
+     */
+    async refreshAssignedRecordSummaries() {
+        if (!this.hasAssignments || !Array.isArray(this.userAssignedRecordIds) || this.userAssignedRecordIds.length === 0) {
+            this.assignedRecordSummaries = {};
             return;
         }
-
-        const existingSummary = this.assignedRecordSummary;
-        try {
-            const summary = await getAssignedRecordSummary({ recordId });
-            if (summary) {
-                this.assignedRecordSummary = summary;
-            } else if (!existingSummary || existingSummary.recordId !== recordId) {
-                this.assignedRecordSummary = null;
+        const existingSummaries = this.assignedRecordSummaries || {};
+        const entries = await Promise.all(this.userAssignedRecordIds.map(async recordId => {
+            const datasetSummary = this.buildSummaryFromDataset(recordId);
+            if (datasetSummary) {
+                return [recordId, datasetSummary];
             }
-        } catch (error) {
-            console.error('Assigned record summary error:', error);
-            if (!existingSummary || existingSummary.recordId !== recordId) {
-                this.assignedRecordSummary = null;
+            try {
+                const summary = await getAssignedRecordSummary({ recordId });
+                return [recordId, summary || existingSummaries[recordId] || null];
+            } catch (error) {
+                console.error('Assigned record summary error:', error);
+                return [recordId, existingSummaries[recordId] || null];
             }
-        }
+        }));
+        const summaries = {};
+        entries.forEach(([recordId, summary]) => {
+            if (summary) {
+                summaries[recordId] = summary;
+            }
+        });
+        this.assignedRecordSummaries = summaries;
     }
     
     handleFilterChange(event) {
@@ -616,7 +1129,12 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
             } else if (filterName === 'caseType') {
                 this.caseTypeFilter = filterValue;
             } else if (filterName === 'dueDate') {
-                this.dueDateFilter = filterValue;
+                // A new custom range starts now and stays open-ended until the agent picks an end
+                this.dueDateFilter = filterValue === DUE_DATE_RANGE
+                    ? SharedUtils.buildDueDateRange(new Date().toISOString(), '')
+                    : filterValue;
+            } else if (filterName === 'search') {
+                this.searchTerm = filterValue || '';
             }
             // Trigger data reload after filter change (pure LWC approach)
             this.loadQueueData();
@@ -625,9 +1143,335 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
         }, 300);
     }
     
+    handleDueDateRangeChange(event) {
+        const range = { ...this.dueDateRange };
+        range[event.target.name === 'dueDateFrom' ? 'from' : 'to'] = event.detail.value || '';
+        const isValid = !range.from || !range.to || new Date(range.from) <= new Date(range.to);
+        this.template.querySelectorAll('.due-date-range-input').forEach(input => input.setCustomValidity(''));
+        event.target.setCustomValidity(isValid ? '' : LABELS.invalidDueDateRange);
+        event.target.reportValidity();
+        if (!isValid) {
+            return;
+        }
+        // Clearing both ends drops the range rather than sending an empty one
+        const dueDateFilter = range.from || range.to ? SharedUtils.buildDueDateRange(range.from, range.to) : '';
+        this.handleFilterChange({ target: { name: 'dueDate' }, detail: { value: dueDateFilter } });
+    }
+
+    handleSort(event) {
+        const { fieldName, sortDirection } = event.detail;
+        this.sortedBy = fieldName;
+        this.sortedDirection = sortDirection;
+        this.currentPage = 1;
+        this.loadQueueData({ useSoftRefresh: true });
+
+        if (this.preferenceManager) {
+            const sortKey = this.sortKey;
+            this.preferenceManager.save(PREFERENCE_KEYS.SORT, sortKey
+                ? { sortBy: sortKey, sortDirection: this.sortedDirection }
+                : null);
+        }
+    }
+    
+    handleViewChange(event) {
+        const viewId = event.detail.value;
+        if (this.savedViewManager && this.savedViewManager.applyView(viewId)) {
+            this.updateTileVisualState();
+            this.loadQueueData();
+        }
+    }
+
+    async handleViewMenuSelect(event) {
+        const action = event.detail.value;
+        try {
+            if (action === 'saveNew' || action === 'saveShared') {
+                await this.saveCurrentView(action === 'saveShared');
+            } else if (action === 'update') {
+                await this.savedViewManager.updateViewFilters(this.selectedViewId);
+                this.showToast(LABELS.success, LABELS.viewUpdated, 'success');
+            } else if (action === 'rename') {
+                await this.renameSelectedView();
+            } else if (action === 'delete') {
+                await this.deleteSelectedView();
+            } else if (action === 'toggleDefault') {
+                const isDefault = this.selectedViewId && this.selectedViewId === this.defaultViewId;
+                await this.savedViewManager.setDefaultView(isDefault ? null : this.selectedViewId);
+                this.showToast(LABELS.success, isDefault ? LABELS.defaultViewCleared : LABELS.defaultViewSet, 'success');
+            }
+        } catch (error) {
+            this.showToast(LABELS.error, formatLabel(LABELS.viewActionFailed, this.getErrorMessage(error)), 'error');
+        }
+    }
+
+    async saveCurrentView(isShared) {
+        const name = await LightningPrompt.open({
+            message: isShared ? LABELS.nameTeamView : LABELS.nameView,
+            label: isShared ? LABELS.saveTeamView : LABELS.saveView,
+            placeholder: LABELS.viewNamePlaceholder
+        });
+        if (!name || !name.trim()) {
+            return;
+        }
+        await this.savedViewManager.createView(name.trim(), isShared);
+        this.showToast(LABELS.success, LABELS.viewSaved, 'success');
+    }
+
+    async renameSelectedView() {
+        const view = this.selectedView;
+        if (!view) {
+            return;
+        }
+        const name = await LightningPrompt.open({
+            message: LABELS.enterNewViewName,
+            label: LABELS.renameView,
+            defaultValue: view.name
+        });
+        if (!name || !name.trim() || name.trim() === view.name) {
+            return;
+        }
+        await this.savedViewManager.renameView(view.id, name.trim());
+        this.showToast(LABELS.success, LABELS.viewRenamed, 'success');
+    }
+
+    async deleteSelectedView() {
+        const view = this.selectedView;
+        if (!view) {
+            return;
+        }
+        const confirmed = await LightningConfirm.open({
+            message: view.isShared
+                ? formatLabel(LABELS.confirmDeleteTeamView, view.name)
+                : formatLabel(LABELS.confirmDeleteView, view.name),
+            label: LABELS.deleteView,
+            theme: 'warning'
+        });
+        if (!confirmed) {
+            return;
+        }
+        await this.savedViewManager.removeView(view.id);
+        this.showToast(LABELS.success, LABELS.viewDeleted, 'success');
+    }
+    
+    async handleExport() {
+        if (this.isExporting || !this.csvExporter) {
+            return;
+        }
+        this.isExporting = true;
+        try {
+            const result = await this.csvExporter.export();
+            if (!result || !result.success) {
+                this.showToast(LABELS.error, (result && result.errorMessage) || LABELS.exportFailed, 'error');
+                return;
+            }
+            const exportedCount = result.records.length;
+            if (result.isTruncated) {
+                this.showToast(
+                    LABELS.exportLimitedTitle,
+                    formatLabel(
+                        LABELS.exportLimitedMessage,
+                        exportedCount.toLocaleString(),
+                        result.totalRecords.toLocaleString(),
+                        result.maxRows.toLocaleString()
+                    ),
+                    'warning'
+                );
+            } else {
+                this.showToast(LABELS.success, formatLabel(LABELS.exportedRows, exportedCount.toLocaleString()), 'success');
+            }
+        } catch (error) {
+            this.showToast(LABELS.error, formatLabel(LABELS.exportFailedWithError, this.getErrorMessage(error)), 'error');
+        } finally {
+            this.isExporting = false;
+        }
+    }
+
+    handleToggleSelectionMode() {
+        this.isSelectionMode = !this.isSelectionMode;
+        this.clearBulkSelection();
+        if (!this.isSelectionMode) {
+            this.bulkResults = null;
+        }
+    }
+
+    handleRowSelection(event) {
+        this.selectedRowIds = (event.detail.selectedRows || []).map(row => row.Id);
+    }
+
+    /**
+     * Keep only selected rows still on the page; row keys change when a record's assignment changes
+     */
+    pruneBulkSelection() {
+        if (!this.selectedCount) {
+            return;
+        }
+        const selected = new Set(this.selectedRowIds.map(rowId => SharedUtils.normalizeRecordId(rowId)));
+        this.selectedRowIds = (this.records || [])
+            .filter(record => selected.has(SharedUtils.normalizeRecordId(record.Id)))
+            .map(record => record.Id);
+    }
+
+    clearBulkSelection() {
+        this.selectedRowIds = [];
+        this.activeBulkAction = null;
+    }
+
+    async handleBulkActionClick(event) {
+        const action = event.currentTarget.dataset.action;
+        if (action !== BULK_ACTIONS.RELEASE) {
+            this.activeBulkAction = this.activeBulkAction === action ? null : action;
+            return;
+        }
+        this.activeBulkAction = null;
+        const confirmed = await LightningConfirm.open({
+            message: formatLabel(LABELS.confirmBulkRelease, this.selectedCount),
+            label: LABELS.releaseAssignments,
+            theme: 'warning'
+        });
+        if (confirmed) {
+            await this.runBulkAction(BULK_ACTIONS.RELEASE);
+        }
+    }
+
+    handleBulkAgentChange(event) {
+        this.bulkAgentId = event.detail.recordId || null;
+    }
+
+    handleBulkStatusChange(event) {
+        this.bulkStatus = event.detail.value;
+    }
+
+    handleBulkCallAtChange(event) {
+        this.bulkCallAt = event.detail.value || null;
+    }
+
+    handleCancelBulkAction() {
+        this.activeBulkAction = null;
+    }
+
+    async handleApplyBulkAction() {
+        const action = this.activeBulkAction;
+        const values = {
+            [BULK_ACTIONS.ASSIGN]: this.bulkAgentId,
+            [BULK_ACTIONS.STATUS]: this.bulkStatus,
+            [BULK_ACTIONS.RESCHEDULE]: this.bulkCallAt
+        };
+        if (!values[action]) {
+            this.showToast(LABELS.warning, LABELS.chooseBulkValue, 'warning');
+            return;
+        }
+        await this.runBulkAction(action, values[action]);
+    }
+
+    async runBulkAction(action, value) {
+        if (!this.bulkActionManager || this.isBulkProcessing || !this.selectedCount) {
+            return;
+        }
+        this.isBulkProcessing = true;
+        try {
+            const results = await this.bulkActionManager.run(action, value);
+            const summary = this.bulkActionManager.summarize(action, results);
+            this.bulkResults = summary;
+            this.clearBulkSelection();
+            const variant = summary.failureCount === 0 ? 'success' : (summary.successCount === 0 ? 'error' : 'warning');
+            this.showToast(
+                formatLabel(LABELS.bulkActionComplete, summary.actionLabel),
+                formatLabel(LABELS.bulkActionCounts, summary.successCount, summary.failureCount),
+                variant
+            );
+            await Promise.all([
+                this.refreshQueueData({ useSoftRefresh: true, bypassCache: true }),
+                this.isCacheReady ? this.checkUserAssignments() : Promise.resolve()
+            ]);
+        } catch (error) {
+            this.showToast(LABELS.error, formatLabel(LABELS.bulkActionFailed, this.getErrorMessage(error)), 'error');
+        } finally {
+            this.isBulkProcessing = false;
+        }
+    }
+
+    handleDismissBulkResults() {
+        this.bulkResults = null;
+    }
+
+    /**
+     * Save inline Status / Qualification Status edits; failed rows keep their drafts and show the error
+     */
+    async handleInlineSave(event) {
+        const draftValues = event.detail.draftValues || [];
+        if (!draftValues.length || this.isSavingInlineEdits) {
+            return;
+        }
+        this.isSavingInlineEdits = true;
+        try {
+            const { savedCount, failedDrafts, errors } = await this.inlineEditManager.save(draftValues);
+            this.draftValues = failedDrafts;
+            this.tableErrors = errors;
+            if (savedCount) {
+                this.showToast(LABELS.success, savedCount === 1 ? LABELS.savedOneRow : formatLabel(LABELS.savedRows, savedCount), 'success');
+                // Status changes move rows, so reload to show the recomputed priority order
+                await this.refreshQueueData({ useSoftRefresh: true, bypassCache: true });
+            }
+        } catch (error) {
+            this.tableErrors = {
+                table: { title: LABELS.changesNotSaved, messages: [this.getErrorMessage(error)] }
+            };
+        } finally {
+            this.isSavingInlineEdits = false;
+        }
+    }
+
+    handleInlineCancel() {
+        this.draftValues = [];
+        this.tableErrors = null;
+    }
+
+    handleColumnResize(event) {
+        if (this.columnManager && event.detail.isUserTriggered) {
+            this.columnManager.handleResize(event.detail.columnWidths);
+        }
+    }
+
+    handleToggleColumnSettings() {
+        if (!this.showColumnSettings && this.columnManager) {
+            this.pendingVisibleColumns = this.columnManager.getVisibleFieldNames();
+        }
+        this.showColumnSettings = !this.showColumnSettings;
+    }
+
+    handleColumnSelectionChange(event) {
+        this.pendingVisibleColumns = event.detail.value;
+    }
+
+    async handleApplyColumnSettings() {
+        this.showColumnSettings = false;
+        if (this.columnManager) {
+            await this.columnManager.saveVisibleColumns(this.pendingVisibleColumns);
+        }
+    }
+
+    async handleResetColumns() {
+        this.showColumnSettings = false;
+        if (this.columnManager) {
+            await this.columnManager.resetLayout();
+        }
+    }
+
+    handleCancelColumnSettings() {
+        this.showColumnSettings = false;
+    }
+    
     async handleTileClick(event) {
-        const filterType = event.currentTarget.dataset.filter;
-        
+        await this.toggleTileFilter(event.currentTarget.dataset.filter);
+    }
+
+    /**
+     * Toggle a tile filter; no filter type means the All Leads tile, which clears every filter
+     */
+    async toggleTileFilter(filterType) {
+        if (!filterType) {
+            this.handleTotalTileClick();
+            return;
+        }
         // Toggle logic: if same tile clicked, remove filter
         if (this.activeTileFilter === filterType) {
             this.activeTileFilter = null;
@@ -640,7 +1484,7 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
             this.updateTileVisualState();
         } catch (error) {
             console.error('Tile filter error:', error);
-            this.showToast('Error', 'Filter operation failed', 'error');
+            this.showToast(LABELS.error, LABELS.filterFailed, 'error');
         }
     }
     
@@ -691,8 +1535,98 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
         });
     }
 
-    handleOpenAssignedRecord() {
-        const recordId = this.assignedRecordId;
+    get keyboardShortcuts() {
+        return this.shortcutManager ? this.shortcutManager.getShortcuts() : [];
+    }
+
+    handleToggleShortcutHelp() {
+        this.showShortcutHelp = !this.showShortcutHelp;
+    }
+
+    handleCloseShortcutHelp() {
+        this.showShortcutHelp = false;
+    }
+
+    handleToggleAlertSettings() {
+        this.showAlertSettings = !this.showAlertSettings;
+    }
+
+    handleCancelAlertSettings() {
+        this.showAlertSettings = false;
+    }
+
+    async handleSaveAlertSettings(event) {
+        const settings = event.detail.settings;
+        this.showAlertSettings = false;
+        if (!this.leadAlertManager) {
+            return;
+        }
+        if (settings.enabled && settings.browserNotification) {
+            // Before any await, while the click still counts as a user action
+            this.leadAlertManager.requestNotificationPermission();
+        }
+        await this.leadAlertManager.save(settings);
+    }
+
+    handleOpenAlertedRecord(event) {
+        const recordId = event.currentTarget.dataset.recordId;
+        this.newLeadAlerts = this.newLeadAlerts.filter(lead => lead.recordId !== recordId);
+        if (this.leadAlertManager) {
+            this.leadAlertManager.highlightUtility();
+        }
+        this.navigateToRecord(recordId);
+    }
+
+    handleDismissAlerts() {
+        if (this.leadAlertManager) {
+            this.leadAlertManager.clear();
+        }
+    }
+
+    get hasNewLeadAlerts() {
+        return this.newLeadAlerts.length > 0;
+    }
+
+    get newLeadAlertTitle() {
+        return getAlertTitle(this.newLeadAlerts.length);
+    }
+
+    get alertButtonIcon() {
+        return this.alertSettings.enabled && !this.alertSettings.muted ? 'utility:notification' : 'utility:volume_off';
+    }
+
+    get alertButtonTitle() {
+        if (!this.alertSettings.enabled) {
+            return LABELS.newLeadAlertsOff;
+        }
+        return this.alertSettings.muted ? LABELS.newLeadAlertsMuted : LABELS.newLeadAlertsOn;
+    }
+
+    get notificationPermission() {
+        return this.leadAlertManager ? this.leadAlertManager.notificationPermission : 'unsupported';
+    }
+
+    setFocusedRow(recordId) {
+        this.focusedRowId = recordId;
+        if (this.dataProcessor) {
+            this.dataProcessor.applyClientSideFilter();
+        }
+    }
+
+    /**
+     * Claim the row focused with the keyboard, unless someone already holds it
+     */
+    claimFocusedRecord(recordId) {
+        const row = (this.records || []).find(record => SharedUtils.normalizeRecordId(record.Id) === recordId);
+        if (row && row.assignedTo) {
+            this.showToast(LABELS.warning, formatLabel(LABELS.alreadyClaimedBy, row.litify_pm__Display_Name__c, row.assignedTo), 'warning');
+            return;
+        }
+        this.assignRecordToUser(recordId);
+    }
+
+    handleOpenAssignedRecord(event) {
+        const recordId = event.currentTarget.dataset.recordId;
         if (recordId) {
             this.navigateToRecord(recordId);
         }
@@ -732,6 +1666,115 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
         return SharedUtils.getErrorMessage(error);
     }
     
+    get savedViewOptions() {
+        return (this.savedViews || []).map(view => {
+            let label = view.isShared ? formatLabel(LABELS.teamViewName, view.name) : view.name;
+            if (view.id === this.defaultViewId) {
+                label = formatLabel(LABELS.defaultViewName, label);
+            }
+            return { label, value: view.id };
+        });
+    }
+
+    get columnOptions() {
+        return this.columnManager
+            ? this.columnManager.getAvailableColumns().map(column => ({ label: column.label, value: column.fieldName }))
+            : [];
+    }
+
+    get requiredColumnOptions() {
+        return ['recordUrl'];
+    }
+
+    get isSavedViewPickerDisabled() {
+        return !Array.isArray(this.savedViews) || this.savedViews.length === 0;
+    }
+
+    get savedViewPlaceholder() {
+        return this.isSavedViewPickerDisabled ? LABELS.noSavedViews : LABELS.selectAView;
+    }
+
+    get selectedView() {
+        return this.savedViewManager ? this.savedViewManager.findView(this.selectedViewId) : null;
+    }
+
+    get isViewEditDisabled() {
+        const view = this.selectedView;
+        return !view || !view.canEdit;
+    }
+
+    get isViewSelectionEmpty() {
+        return !this.selectedView;
+    }
+
+    get defaultViewMenuLabel() {
+        return this.selectedViewId && this.selectedViewId === this.defaultViewId
+            ? LABELS.clearMyDefault
+            : LABELS.setAsMyDefault;
+    }
+
+    get showSelectionToggle() {
+        return this.canUseBulkActions && !this.utilityMode;
+    }
+
+    get selectionToggleLabel() {
+        return this.isSelectionMode ? LABELS.doneSelecting : LABELS.select;
+    }
+
+    get hideCheckboxColumn() {
+        return !this.isSelectionMode;
+    }
+
+    get maxBulkRecords() {
+        return this.bulkActionManager ? this.bulkActionManager.maxRecords : 0;
+    }
+
+    get selectedCount() {
+        return Array.isArray(this.selectedRowIds) ? this.selectedRowIds.length : 0;
+    }
+
+    get selectedCountLabel() {
+        return this.selectedCount === 1 ? LABELS.oneRecordSelected : formatLabel(LABELS.recordsSelected, this.selectedCount);
+    }
+
+    get isBulkActionDisabled() {
+        return this.isBulkProcessing || this.selectedCount === 0;
+    }
+
+    get isAssignBulkAction() {
+        return this.activeBulkAction === BULK_ACTIONS.ASSIGN;
+    }
+
+    get isStatusBulkAction() {
+        return this.activeBulkAction === BULK_ACTIONS.STATUS;
+    }
+
+    get isRescheduleBulkAction() {
+        return this.activeBulkAction === BULK_ACTIONS.RESCHEDULE;
+    }
+
+    get bulkAgentFilter() {
+        return {
+            criteria: [{ fieldPath: 'IsActive', operator: 'eq', value: true }]
+        };
+    }
+
+    get bulkApplyLabel() {
+        return this.selectedCount === 1 ? LABELS.applyToOneRecord : formatLabel(LABELS.applyToRecords, this.selectedCount);
+    }
+
+    get bulkResultsSummary() {
+        if (!this.bulkResults) {
+            return '';
+        }
+        const { actionLabel, successCount, failureCount } = this.bulkResults;
+        return formatLabel(LABELS.bulkResultsSummary, actionLabel, successCount, failureCount);
+    }
+
+    get isExportDisabled() {
+        return this.isExporting || this.isLoading || !this.listTotalRecords;
+    }
+
     get isLoading() {
         return this.isLoadingState;
     }
@@ -760,6 +1803,10 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
         return pages > 0 ? pages : 1;
     }
 
+    get pageIndicatorLabel() {
+        return formatLabel(LABELS.pageOf, this.currentPage, this.totalPages);
+    }
+
     get isPreviousPageDisabled() {
         return this.isLoading || this.currentPage <= 1;
     }
@@ -769,11 +1816,34 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
     }
     
     get assignButtonLabel() {
-        return this.isAssigning ? 'Assigning...' : 'Get Next Record';
+        return this.isAssigning ? LABELS.assigning : LABELS.getNextRecord;
     }
     
     get releaseButtonLabel() {
-        return this.isReleasing ? 'Releasing...' : 'Release My Records';
+        if (this.isReleasing) {
+            return LABELS.releasing;
+        }
+        return this.claimCount > 1 ? formatLabel(LABELS.releaseAll, this.claimCount) : LABELS.releaseMyRecords;
+    }
+
+    get claimCount() {
+        return Array.isArray(this.userAssignedRecordIds) ? this.userAssignedRecordIds.length : 0;
+    }
+
+    get canClaimMore() {
+        return this.claimCount < this.maxClaims;
+    }
+
+    get claimCountLabel() {
+        return formatLabel(LABELS.claimCount, this.claimCount, this.maxClaims);
+    }
+
+    get showClaimCount() {
+        return this.maxClaims > 1 && this.hasAssignments;
+    }
+
+    get assignedClaims() {
+        return this.timerManager ? this.timerManager.getAssignedClaims() : [];
     }
 
     get allLeadsClass() {
@@ -787,6 +1857,22 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
     get scheduledCallsVariant() {
         return this.showScheduledCalls ? 'brand' : 'neutral';
     }
+
+    get overdueScheduledCount() {
+        return this.originalStats?.overdueScheduledCount || 0;
+    }
+
+    get scheduledCallsLabel() {
+        return this.overdueScheduledCount > 0
+            ? formatLabel(LABELS.scheduledCallsWithOverdue, this.overdueScheduledCount)
+            : LABELS.scheduledCalls;
+    }
+
+    get scheduledCallsTitle() {
+        return this.overdueScheduledCount > 0
+            ? formatLabel(LABELS.overdueScheduledCallsHelp, this.overdueScheduledCount)
+            : LABELS.scheduledCalls;
+    }
     
     get showCacheWarning() {
         return !this.isCacheReady;
@@ -802,35 +1888,48 @@ export default class LeadQueueViewer extends NavigationMixin(LightningElement) {
     }
 
     get assignedRecordInfo() {
-        return this.timerManager ? this.timerManager.getAssignedRecordInfo() : '';
+        return this.timerManager ? this.timerManager.getAssignedRecordInfo(this.nextExpiringRecordId) : '';
     }
 
-    get assignedRecordDisplayName() {
-        return this.timerManager ? this.timerManager.getAssignedRecordDisplayName() : '';
+    get overSlaCount() {
+        return this.timerManager ? this.timerManager.getOverSlaCount() : 0;
     }
 
-    get assignedRecordId() {
-        if (Array.isArray(this.userAssignedRecordIds) && this.userAssignedRecordIds.length > 0) {
-            return this.userAssignedRecordIds[0];
-        }
-        return null;
+    get overSlaLabel() {
+        return formatLabel(LABELS.overSlaMinutes, this.slaBreachMinutes);
     }
 
-    get assignedRecordStatus() {
-        return this.timerManager ? this.timerManager.getAssignedRecordStatus() : null;
+    get overSlaStatClass() {
+        return this.overSlaCount > 0 ? 'stat-card over-sla-stat over-sla-active' : 'stat-card over-sla-stat';
     }
 
-    get assignedRecordTimer() {
-        if (!this.timerManager) {
-            return '';
-        }
-        
-        try {
-            return this.timerManager.getUtilityBarTimer();
-        } catch (error) {
-            console.log('Timer error:', error);
-            return 'Time Assigned: --:--';
+    /**
+     * The claim shown in the full interface action bar: whichever expires first
+     */
+    get nextExpiringRecordId() {
+        return this.timerManager ? this.timerManager.getNextExpiringRecordId() : null;
+    }
+
+    get assignedRecordExpiry() {
+        const recordId = this.nextExpiringRecordId;
+        const expiry = this.timerManager ? this.timerManager.getUtilityBarExpiry(recordId) : '';
+        if (!expiry || this.claimCount < 2) {
+            return expiry;
         }
+        return `${this.timerManager.getAssignedRecordDisplayName(recordId)} ${expiry.charAt(0).toLowerCase()}${expiry.slice(1)}`;
+    }
+
+    get claimExpiryClass() {
+        const level = this.timerManager ? this.timerManager.getClaimExpiryLevel(this.nextExpiringRecordId) : '';
+        return level ? `claim-expiry claim-expiry-${level}` : 'claim-expiry';
+    }
+
+    get extendButtonLabel() {
+        return this.extendingRecordId ? LABELS.extending : LABELS.extendClaim;
+    }
+
+    get isExtendButtonDisabled() {
+        return Boolean(this.extendingRecordId) || this.isReleasing || !this.isCacheReady || !this.nextExpiringRecordId;
     }
 
     getRecordAssignmentTimer(recordId, assignedTo, assignedTimestamp) {
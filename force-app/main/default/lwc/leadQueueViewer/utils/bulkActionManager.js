@@ -0,0 +1,97 @@
+/**
+ * Supervisor bulk action utilities for Lead Queue
+ * Runs assign, force-release, status and reschedule actions on the selected rows
+ */
+import getSupervisorContext from '@salesforce/apex/LeadQueueSupervisorService.getSupervisorContext';
+import bulkAssign from '@salesforce/apex/LeadQueueSupervisorService.bulkAssign';
+import bulkRelease from '@salesforce/apex/LeadQueueSupervisorService.bulkRelease';
+import bulkUpdateStatus from '@salesforce/apex/LeadQueueSupervisorService.bulkUpdateStatus';
+import bulkReschedule from '@salesforce/apex/LeadQueueSupervisorService.bulkReschedule';
+import { SharedUtils } from 'c/sharedUtils';
+import { LABELS } from 'c/leadQueueLabels';
+
+export const BULK_ACTIONS = {
+    ASSIGN: 'assign',
+    RELEASE: 'release',
+    STATUS: 'status',
+    RESCHEDULE: 'reschedule'
+};
+
+const ACTION_LABELS = {
+    [BULK_ACTIONS.ASSIGN]: LABELS.bulkActionAssign,
+    [BULK_ACTIONS.RELEASE]: LABELS.bulkActionRelease,
+    [BULK_ACTIONS.STATUS]: LABELS.bulkActionStatus,
+    [BULK_ACTIONS.RESCHEDULE]: LABELS.bulkActionReschedule
+};
+const DEFAULT_MAX_RECORDS = 100;
+
+export class BulkActionManager {
+
+    constructor(component) {
+        this.component = component;
+        this.maxRecords = DEFAULT_MAX_RECORDS;
+    }
+
+    /**
+     * Load whether the user may run bulk actions, and the statuses they can set
+     */
+    async load() {
+        try {
+            const context = await getSupervisorContext();
+            this.component.canUseBulkActions = Boolean(context && context.canUseBulkActions);
+            this.component.bulkStatusOptions = (context && Array.isArray(context.statusOptions)) ? context.statusOptions : [];
+            this.maxRecords = (context && context.maxRecords) || DEFAULT_MAX_RECORDS;
+        } catch (error) {
+            console.error('Failed to load Lead Queue supervisor context:', error);
+            this.component.canUseBulkActions = false;
+            this.component.bulkStatusOptions = [];
+        }
+        return this.component.canUseBulkActions;
+    }
+
+    /**
+     * Intake Ids for the selected datatable rows (row keys may carry the '-assigned' suffix)
+     */
+    getSelectedRecordIds() {
+        const ids = (this.component.selectedRowIds || []).map(rowId => SharedUtils.normalizeRecordId(rowId));
+        return [...new Set(ids)];
+    }
+
+    /**
+     * Run an action on the selected records; value is the agent Id, status or call time the action needs
+     */
+    async run(action, value) {
+        const recordIds = this.getSelectedRecordIds();
+        switch (action) {
+            case BULK_ACTIONS.ASSIGN:
+                return bulkAssign({ recordIds, userId: value });
+            case BULK_ACTIONS.RELEASE:
+                return bulkRelease({ recordIds });
+            case BULK_ACTIONS.STATUS:
+                return bulkUpdateStatus({ recordIds, status: value });
+            case BULK_ACTIONS.RESCHEDULE:
+                return bulkReschedule({ recordIds, callAt: value });
+            default:
+                throw new Error(`Unknown bulk action: ${action}`);
+        }
+    }
+
+    /**
+     * Per-row results decorated for display, plus success/failure counts
+     */
+    summarize(action, results) {
+        const rows = (results || []).map(result => ({
+            ...result,
+            iconName: result.success ? 'utility:success' : 'utility:error',
+            iconVariant: result.success ? 'success' : 'error',
+            rowClass: result.success ? 'bulk-result bulk-result-success' : 'bulk-result bulk-result-failure'
+        }));
+        const successCount = rows.filter(row => row.success).length;
+        return {
+            actionLabel: ACTION_LABELS[action] || LABELS.bulkAction,
+            rows,
+            successCount,
+            failureCount: rows.length - successCount
+        };
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * Column layout utilities for Lead Queue
+ * Combines built-in and admin-configured columns and applies each user's saved layout
+ */
+import getExtraColumns from '@salesforce/apex/LeadQueueService.getExtraColumns';
+import { PREFERENCE_KEYS } from './preferenceManager';
+
+// The record link column cannot be hidden
+const REQUIRED_COLUMN = 'recordUrl';
+const MIN_COLUMN_WIDTH = 50;
+const WIDTH_SAVE_DELAY = 1000;
+
+const EXTRA_COLUMN_TYPES = {
+    datetime: {
+        type: 'date',
+        typeAttributes: { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' }
+    },
+    date: {
+        type: 'date-local',
+        typeAttributes: { year: 'numeric', month: 'short', day: '2-digit' }
+    },
+    number: { type: 'number' },
+    currency: { type: 'currency' },
+    percent: { type: 'percent' },
+    boolean: { type: 'boolean' },
+    email: { type: 'email' },
+    phone: { type: 'phone' },
+    url: { type: 'url' },
+    text: { type: 'text' }
+};
+
+export class ColumnManager {
+
+    constructor(component) {
+        this.component = component;
+        this.extraColumns = [];
+        this.widthSaveTimeout = null;
+    }
+
+    /**
+     * Load admin-configured columns the user can read
+     */
+    async loadExtraColumns() {
+        try {
+            const columns = await getExtraColumns();
+            this.extraColumns = Array.isArray(columns) ? columns : [];
+        } catch (error) {
+            console.error('Failed to load Lead Queue extra columns:', error);
+            this.extraColumns = [];
+        }
+        return this.extraColumns;
+    }
+
+    getExtraFieldNames() {
+        return this.extraColumns.map(column => column.fieldName);
+    }
+
+    /**
+     * Datatable row values for configured columns
+     */
+    buildExtraFieldValues(extraFields) {
+        const values = {};
+        const source = extraFields || {};
+        this.extraColumns.forEach(column => {
+            let value = source[column.fieldName];
+            if (column.dataType === 'percent' && typeof value === 'number') {
+                value = value / 100;
+            }
+            values[column.fieldName] = value === undefined ? null : value;
+        });
+        return values;
+    }
+
+    getBaseColumns() {
+        const columns = this.component.dataProcessor ? this.component.dataProcessor.getTableColumns() : [];
+        return columns.filter(column => column.fieldName);
+    }
+
+    getActionColumns() {
+        const columns = this.component.dataProcessor ? this.component.dataProcessor.getTableColumns() : [];
+        return columns.filter(column => !column.fieldName);
+    }
+
+    getExtraColumnDefinitions() {
+        return this.extraColumns.map(column => ({
+            label: column.label,
+            fieldName: column.fieldName,
+            ...(EXTRA_COLUMN_TYPES[column.dataType] || EXTRA_COLUMN_TYPES.text),
+            wrapText: false
+        }));
+    }
+
+    getAvailableColumns() {
+        return [...this.getBaseColumns(), ...this.getExtraColumnDefinitions()];
+    }
+
+    getLayout() {
+        const preferenceManager = this.component.preferenceManager;
+        const layout = preferenceManager ? preferenceManager.get(PREFERENCE_KEYS.COLUMNS) : null;
+        return layout && typeof layout === 'object' ? layout : {};
+    }
+
+    getDefaultVisibleFieldNames() {
+        return this.getBaseColumns().map(column => column.fieldName);
+    }
+
+    /**
+     * Visible column field names in display order, ignoring columns that are no longer available
+     */
+    getVisibleFieldNames() {
+        const available = new Set(this.getAvailableColumns().map(column => column.fieldName));
+        const layout = this.getLayout();
+        const saved = Array.isArray(layout.visible) ? layout.visible.filter(fieldName => available.has(fieldName)) : [];
+        const visible = saved.length ? saved : this.getDefaultVisibleFieldNames();
+        return visible.includes(REQUIRED_COLUMN) ? visible : [REQUIRED_COLUMN, ...visible];
+    }
+
+    /**
+     * Rebuild the datatable columns from the user's layout
+     */
+    refresh() {
+        const byFieldName = new Map(this.getAvailableColumns().map(column => [column.fieldName, column]));
+        const widths = this.getLayout().widths || {};
+        const columns = this.getVisibleFieldNames()
+            .map(fieldName => byFieldName.get(fieldName))
+            .filter(column => column)
+            .map(column => {
+                const width = widths[column.fieldName];
+                return Number.isFinite(width) && width >= MIN_COLUMN_WIDTH
+                    ? { ...column, initialWidth: width }
+                    : column;
+            });
+        this.component.columns = [...columns, ...this.getActionColumns()];
+    }
+
+    async saveVisibleColumns(fieldNames) {
+        const layout = this.getLayout();
+        await this.saveLayout({ ...layout, visible: fieldNames });
+    }
+
+    async resetLayout() {
+        if (this.component.preferenceManager) {
+            await this.component.preferenceManager.save(PREFERENCE_KEYS.COLUMNS, null);
+        }
+        this.refresh();
+    }
+
+    /**
+     * Remember user-resized column widths (debounced)
+     */
+    handleResize(columnWidths) {
+        if (!Array.isArray(columnWidths)) {
+            return;
+        }
+        const widths = { ...(this.getLayout().widths || {}) };
+        (this.component.columns || []).forEach((column, index) => {
+            const width = columnWidths[index];
+            if (column.fieldName && Number.isFinite(width)) {
+                widths[column.fieldName] = Math.round(width);
+            }
+        });
+        this.clearPendingSave();
+        this.widthSaveTimeout = setTimeout(() => {
+            this.widthSaveTimeout = null;
+            const layout = this.getLayout();
+            if (this.component.preferenceManager) {
+                this.component.preferenceManager.save(PREFERENCE_KEYS.COLUMNS, { ...layout, widths });
+            }
+        }, WIDTH_SAVE_DELAY);
+    }
+
+    async saveLayout(layout) {
+        if (this.component.preferenceManager) {
+            await this.component.preferenceManager.save(PREFERENCE_KEYS.COLUMNS, layout);
+        }
+        this.refresh();
+    }
+
+    clearPendingSave() {
+        if (this.widthSaveTimeout) {
+            clearTimeout(this.widthSaveTimeout);
+            this.widthSaveTimeout = null;
+        }
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * CSV export utilities for Lead Queue
+ * Exports every row in the current view (not just the loaded page) with the visible columns
+ */
+import exportQueueData from '@salesforce/apex/LeadQueueService.exportQueueData';
+import { SharedUtils } from 'c/sharedUtils';
+import { LABELS } from 'c/leadQueueLabels';
+
+// Always exported, even when hidden in the table
+const ALWAYS_EXPORTED_COLUMNS = [
+    { fieldName: 'priorityRank', label: LABELS.priority },
+    { fieldName: 'assignedTo', label: LABELS.currentlyAssigned }
+];
+const ASSIGNMENT_AGE_LABEL = LABELS.assignmentAgeMinutes;
+// Leading characters spreadsheet apps treat as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export class CsvExporter {
+
+    constructor(component) {
+        this.component = component;
+    }
+
+    /**
+     * Fetch the full view from the server and download it; returns the server response (no download on failure)
+     */
+    async export() {
+        const component = this.component;
+        const result = await exportQueueData({
+            statusFilter: component.statusFilter,
+            caseTypeFilter: component.caseTypeFilter,
+            dueDateFilter: component.dueDateFilter,
+            showScheduledCalls: component.showScheduledCalls,
+            tileFilter: component.activeTileFilter,
+            searchTerm: component.searchTerm,
+            sortBy: component.sortKey,
+            sortDirection: component.sortKey ? component.sortedDirection : null
+        });
+        if (!result || !result.success) {
+            return result;
+        }
+        const rows = component.dataProcessor ? component.dataProcessor.buildRows(result.records) : [];
+        this.download(this.buildCsv(rows), this.buildFileName());
+        return result;
+    }
+
+    getExportColumns() {
+        const columns = (this.component.columns || [])
+            .filter(column => column.fieldName)
+            .map(column => ({
+                fieldName: column.fieldName,
+                label: column.label,
+                // Link columns export their display label rather than the URL
+                valueField: column.typeAttributes && column.typeAttributes.label && column.typeAttributes.label.fieldName
+            }))
+            // The timer column is replaced by a numeric assignment age
+            .filter(column => column.fieldName !== 'assignmentTimer');
+        ALWAYS_EXPORTED_COLUMNS.forEach(required => {
+            if (!columns.some(column => column.fieldName === required.fieldName)) {
+                columns.push(required);
+            }
+        });
+        return columns;
+    }
+
+    buildCsv(rows) {
+        const columns = this.getExportColumns();
+        const now = Date.now();
+        const header = [...columns.map(column => column.label), ASSIGNMENT_AGE_LABEL];
+        const lines = [header.map(value => this.escape(value)).join(',')];
+        rows.forEach(row => {
+            const values = columns.map(column => row[column.valueField || column.fieldName]);
+            values.push(this.getAssignmentAgeMinutes(row.assignmentTimestamp, now));
+            lines.push(values.map(value => this.escape(value)).join(','));
+        });
+        return lines.join('\r\n');
+    }
+
+    getAssignmentAgeMinutes(assignmentTimestamp, now) {
+        if (!assignmentTimestamp) {
+            return '';
+        }
+        const assignedAt = new Date(assignmentTimestamp).getTime();
+        if (!Number.isFinite(assignedAt)) {
+            return '';
+        }
+        return Math.max(0, Math.floor((now - assignedAt) / 60000));
+    }
+
+    escape(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            return String(value);
+        }
+        let text = String(value);
+        if (FORMULA_PREFIX.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    buildFileName() {
+        const now = new Date();
+        const today = SharedUtils.getZonedParts(now) ||
+            { year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() };
+        const pad = value => String(value).padStart(2, '0');
+        return `lead-queue-${today.year}-${pad(today.month)}-${pad(today.day)}.csv`;
+    }
+
+    download(csv, fileName) {
+        // Byte order mark so Excel opens the file as UTF-8
+        const link = document.createElement('a');
+        link.href = 'data:text/csv;charset=utf-8,' + encodeURIComponent('\uFEFF' + csv);
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+}
@@ -3,6 +3,30 @@
  * Handles queue data processing, filtering, and state management
  */
 import { SharedUtils } from 'c/sharedUtils';
+import { LABELS } from 'c/leadQueueLabels';
+
+// Datatable column fieldName -> server sort key accepted by getQueueDataPaged
+const SORT_KEYS_BY_FIELD = {
+    priorityRank: 'priority',
+    recordUrl: 'name',
+    Referred_By_Name__c: 'referredBy',
+    Status: 'status',
+    CaseType: 'caseType',
+    Qualification_Status__c: 'qualificationStatus',
+    callDateTime: 'callDate',
+    assignedTo: 'assignedTo',
+    assignmentTimer: 'timeAssigned'
+};
+
+// Mirrors LeadQueueService: shorter search terms are ignored, phone matching needs 3+ digits
+const MIN_SEARCH_LENGTH = 2;
+const MIN_PHONE_SEARCH_DIGITS = 3;
+const SEARCH_MATCH_CLASS = 'search-match';
+const FOCUSED_ROW_CLASS = 'focused-row';
+// Hours of the lead's day when calling is reasonable; lead times outside them are flagged
+const CALLING_HOURS_START = 8;
+const CALLING_HOURS_END = 21;
+const OFF_HOURS_CLASS = 'lead-time-off-hours';
 
 export class DataProcessor {
     
@@ -44,7 +68,23 @@ export class DataProcessor {
         const pageSize = this.component.pageSize || 50;
         const currentPage = this.component.currentPage || 1;
         const pageOffset = (currentPage - 1) * pageSize;
-        this.component.originalRecords = data.records
+        this.component.originalRecords = this.buildRows(data.records, pageOffset);
+        
+        // Create working copy for display
+        this.component.records = [...this.component.originalRecords];
+        
+        // Apply current tile filter if active
+        this.applyClientSideFilter();
+        
+    }
+
+    /**
+     * Map server queue records to datatable rows
+     */
+    buildRows(queueRecords, pageOffset = 0) {
+        const matchesSearch = this.createSearchMatcher(this.component.searchTerm);
+        const columnManager = this.component.columnManager;
+        return (queueRecords || [])
             .filter(queueRecord => queueRecord && (queueRecord.record || queueRecord.recordId)) // Filter out invalid entries
             .map((queueRecord, index) => {
                 const record = queueRecord.record || {};
@@ -52,38 +92,64 @@ export class DataProcessor {
                 if (!originalRecordId) {
                     return null;
                 }
-                const displayName = queueRecord.displayName || record.litify_pm__Display_Name__c || record.Name || 'Unknown';
+                const displayName = queueRecord.displayName || record.litify_pm__Display_Name__c || record.Name || LABELS.unknown;
                 const referredByName = queueRecord.referredByName || record.Referred_By_Name__c || '';
                 const status = queueRecord.status || record.litify_pm__Status__c || '';
                 const caseType = queueRecord.caseType || record.Queue_Case_Type__c || '';
                 const qualificationStatus = queueRecord.qualificationStatus || record.Qualification_Status__c || '';
                 const callAtDate = queueRecord.callAtDate || record.Call_at_Date__c;
                 const phone = queueRecord.phone || record.litify_pm__Phone__c || '';
+                const callAtTime = callAtDate ? new Date(callAtDate).getTime() : null;
                 return {
                     Id: queueRecord.assignedTo ? (originalRecordId + '-assigned') : originalRecordId,
-                    Name: record.Name || displayName || 'Unknown',
+                    Name: record.Name || displayName || LABELS.unknown,
                     litify_pm__Display_Name__c: displayName,
                     Referred_By_Name__c: referredByName,
+                    nameCellClass: matchesSearch(displayName) ? `link-cell ${SEARCH_MATCH_CLASS}` : 'link-cell',
+                    referredByCellClass: matchesSearch(referredByName) ? SEARCH_MATCH_CLASS : '',
+                    phoneCellClass: matchesSearch(phone, true) ? SEARCH_MATCH_CLASS : '',
                     Status: status,
                     CaseType: caseType,
                     Qualification_Status__c: qualificationStatus,
                     callDateTime: SharedUtils.formatCallDateTime(callAtDate),
+                    // Raw sort values, used to place rows patched in from refresh events
+                    callAtTime,
+                    priorityScore: queueRecord.priorityScore,
+                    leadTimeZone: queueRecord.leadTimeZone || null,
+                    ...this.getLeadLocalTime(queueRecord.leadTimeZone, callAtTime),
                     Phone: phone,
                     assignedTo: queueRecord.assignedTo || '',
                     assignmentTimer: this.component.timerManager.getRecordAssignmentTimer(originalRecordId, queueRecord.assignedTo, queueRecord.assignedTimestamp),
+                    assignmentTimerClass: this.component.timerManager.getAssignmentTimerClass(queueRecord.assignedTo, queueRecord.assignedTimestamp),
                     assignmentTimestamp: queueRecord.assignedTimestamp,
-                    priorityRank: pageOffset + index + 1,
+                    priorityRank: Number.isFinite(queueRecord.priorityRank) ? queueRecord.priorityRank : pageOffset + index + 1,
                     recordUrl: `/lightning/r/litify_pm__Intake__c/${originalRecordId}/view`,
+                    ...(columnManager ? columnManager.buildExtraFieldValues(queueRecord.extraFields) : {})
                 };
             })
             .filter(record => record);
-        
-        // Create working copy for display
-        this.component.records = [...this.component.originalRecords];
-        
-        // Apply current tile filter if active
-        this.applyClientSideFilter();
-        
+    }
+
+    /**
+     * Build a predicate that reports whether a cell value matches the active search term
+     */
+    createSearchMatcher(searchTerm) {
+        const term = (searchTerm || '').trim().toLowerCase();
+        if (term.length < MIN_SEARCH_LENGTH) {
+            return () => false;
+        }
+        const digits = term.replace(/\D/g, '');
+        return (value, isPhone = false) => {
+            if (!value) {
+                return false;
+            }
+            if (String(value).toLowerCase().includes(term)) {
+                return true;
+            }
+            return isPhone
+                && digits.length >= MIN_PHONE_SEARCH_DIGITS
+                && String(value).replace(/\D/g, '').includes(digits);
+        };
     }
 
     /**
@@ -104,7 +170,20 @@ export class DataProcessor {
      */
     applyClientSideFilter() {
         // Tile filters are applied server-side to keep pagination accurate.
-        this.component.records = [...this.component.originalRecords];
+        this.component.records = this.component.originalRecords.map(record => this.applyRowFocus(record));
+    }
+
+    /**
+     * Mark the row focused with the keyboard shortcuts on its name cell
+     */
+    applyRowFocus(record) {
+        const isFocused = SharedUtils.normalizeRecordId(record.Id) === this.component.focusedRowId;
+        const classes = (record.nameCellClass || '').split(' ').filter(name => name && name !== FOCUSED_ROW_CLASS);
+        if (isFocused) {
+            classes.push(FOCUSED_ROW_CLASS);
+        }
+        const nameCellClass = classes.join(' ');
+        return nameCellClass === record.nameCellClass ? record : { ...record, nameCellClass };
     }
 
     /**
@@ -117,6 +196,61 @@ export class DataProcessor {
         }
     }
 
+    /**
+     * Reflect a reschedule before the refresh returns: a lead moved into the future leaves Ready to Call,
+     * and in Scheduled Calls it keeps its row with the new call time
+     */
+    applyRescheduledRecord(recordId, callAt) {
+        if (!recordId || !callAt) {
+            return;
+        }
+        const isSameRecord = record => SharedUtils.normalizeRecordId(record.Id) === recordId;
+        if (!this.component.showScheduledCalls && callAt > Date.now()) {
+            const before = this.component.originalRecords.length;
+            this.component.originalRecords = this.component.originalRecords.filter(record => !isSameRecord(record));
+            this.component.records = this.component.records.filter(record => !isSameRecord(record));
+            if (this.component.originalRecords.length < before && this.component.listTotalRecords > 0) {
+                this.component.listTotalRecords--;
+            }
+            return;
+        }
+        const callDateTime = SharedUtils.formatCallDateTime(callAt);
+        const updateCallTime = record => (isSameRecord(record)
+            ? { ...record, callDateTime, callAtTime: callAt, ...this.getLeadLocalTime(record.leadTimeZone, callAt) }
+            : record);
+        this.component.originalRecords = this.component.originalRecords.map(updateCallTime);
+        this.component.records = this.component.records.map(updateCallTime);
+    }
+
+    /**
+     * The lead's local time when the call is due (now, for calls already due), flagged outside calling hours
+     */
+    getLeadLocalTime(leadTimeZone, callAtTime, now = Date.now()) {
+        if (!leadTimeZone) {
+            return { leadLocalTime: '', leadLocalTimeClass: '', leadLocalTimeIcon: null };
+        }
+        const callAt = Math.max(callAtTime || 0, now);
+        const parts = SharedUtils.getZonedParts(callAt, leadTimeZone);
+        const isOffHours = Boolean(parts) && (parts.hour < CALLING_HOURS_START || parts.hour >= CALLING_HOURS_END);
+        return {
+            leadLocalTime: SharedUtils.formatZonedTime(callAt, leadTimeZone),
+            leadLocalTimeClass: isOffHours ? OFF_HOURS_CLASS : '',
+            leadLocalTimeIcon: isOffHours ? 'utility:warning' : null
+        };
+    }
+
+    /**
+     * Move lead local times along with the clock; rows due now show the lead's current time
+     */
+    refreshLeadLocalTimes() {
+        const now = Date.now();
+        const update = row => (row.leadTimeZone
+            ? { ...row, ...this.getLeadLocalTime(row.leadTimeZone, row.callAtTime, now) }
+            : row);
+        this.component.originalRecords = (this.component.originalRecords || []).map(update);
+        this.component.records = (this.component.records || []).map(update);
+    }
+
     /**
      * Clear all filters
      */
@@ -127,6 +261,8 @@ export class DataProcessor {
         this.component.statusFilter = '';
         this.component.caseTypeFilter = '';
         this.component.dueDateFilter = '';
+        this.component.searchTerm = '';
+        this.component.selectedViewId = '';
         this.component.currentPage = 1;
         this.component.activeTileFilter = null;
         
@@ -164,76 +300,101 @@ export class DataProcessor {
     getTableColumns() {
         return [
             {
-                label: 'Priority',
+                label: LABELS.priority,
                 fieldName: 'priorityRank',
                 type: 'number',
+                sortable: true,
                 cellAttributes: { alignment: 'center', class: 'nowrap-cell' },
                 initialWidth: 90,
                 wrapText: false
             },
             {
-                label: 'Name',
+                label: LABELS.name,
                 fieldName: 'recordUrl',
                 type: 'url',
                 typeAttributes: {
                     label: { fieldName: 'litify_pm__Display_Name__c' },
                     target: '_self'
                 },
-                cellAttributes: { class: 'link-cell' },
+                cellAttributes: { class: { fieldName: 'nameCellClass' } },
+                sortable: true,
                 initialWidth: 300,
                 wrapText: false
             },
             {
-                label: 'Referred By',
+                label: LABELS.referredBy,
                 fieldName: 'Referred_By_Name__c',
                 type: 'text',
+                sortable: true,
+                cellAttributes: { class: { fieldName: 'referredByCellClass' } },
                 wrapText: false
             },
             {
-                label: 'Status',
+                label: LABELS.status,
                 fieldName: 'Status',
                 type: 'text',
+                sortable: true,
+                ...this.getInlineEditAttributes('Status'),
                 wrapText: false
             },
             {
-                label: 'Case Type',
+                label: LABELS.caseType,
                 fieldName: 'CaseType',
                 type: 'text',
+                sortable: true,
                 wrapText: false
             },
             {
-                label: 'Qualification Status',
+                label: LABELS.qualificationStatus,
                 fieldName: 'Qualification_Status__c',
                 type: 'text',
+                sortable: true,
+                ...this.getInlineEditAttributes('Qualification_Status__c'),
                 cellAttributes: { alignment: 'left' },
                 wrapText: false
             },
             {
-                label: 'Call Date and Time',
+                label: LABELS.callDateTime,
                 fieldName: 'callDateTime',
                 type: 'text',
                 sortable: true,
                 wrapText: false
             },
             {
-                label: 'Phone',
+                label: LABELS.leadLocalTime,
+                fieldName: 'leadLocalTime',
+                type: 'text',
+                cellAttributes: {
+                    class: { fieldName: 'leadLocalTimeClass' },
+                    iconName: { fieldName: 'leadLocalTimeIcon' },
+                    iconAlternativeText: LABELS.outsideCallingHours,
+                    iconPosition: 'right'
+                },
+                initialWidth: 140,
+                wrapText: false
+            },
+            {
+                label: LABELS.phone,
                 fieldName: 'Phone',
                 type: 'phone',
+                cellAttributes: { class: { fieldName: 'phoneCellClass' } },
                 initialWidth: 130,
                 wrapText: false
             },
             {
-                label: 'Currently Assigned',
+                label: LABELS.currentlyAssigned,
                 fieldName: 'assignedTo',
                 type: 'text',
+                sortable: true,
                 wrapText: false
             },
             {
-                label: 'Time Assigned',
+                label: LABELS.timeAssigned,
                 fieldName: 'assignmentTimer',
                 type: 'text',
-                cellAttributes: { alignment: 'center' },
-                initialWidth: 80,
+                sortable: true,
+                cellAttributes: { alignment: 'center', class: { fieldName: 'assignmentTimerClass' } },
+                initialWidth: 90,
                 wrapText: false
             },
             {
@@ -245,13 +406,37 @@ export class DataProcessor {
         ];
     }
 
+    getInlineEditAttributes(fieldName) {
+        const inlineEditManager = this.component.inlineEditManager;
+        return inlineEditManager ? inlineEditManager.getColumnAttributes(fieldName) : {};
+    }
+
+    /**
+     * Map a datatable column to the server sort key (null for unsortable columns)
+     */
+    getSortKey(fieldName) {
+        return SORT_KEYS_BY_FIELD[fieldName] || null;
+    }
+
+    /**
+     * Map a server sort key back to its datatable column
+     */
+    getSortFieldName(sortKey) {
+        return Object.keys(SORT_KEYS_BY_FIELD).find(fieldName => SORT_KEYS_BY_FIELD[fieldName] === sortKey) || null;
+    }
+
     getRowActions(row, doneCallback) {
         const actions = [
-            { label: 'Open Record', name: 'open', iconName: 'utility:open' }
+            { label: LABELS.openRecord, name: 'open', iconName: 'utility:open' }
         ];
         const canAssign = this.component.isCacheReady && !this.component.areRowActionsDisabled;
         if (canAssign) {
-            actions.unshift({ label: 'Assign to Me', name: 'assign', iconName: 'utility:user' });
+            actions.unshift({ label: LABELS.assignToMe, name: 'assign', iconName: 'utility:user' });
+        }
+        // Leads another agent is working stay with them
+        const recordId = SharedUtils.normalizeRecordId(row.Id);
+        if (!row.assignedTo || (this.component.userAssignedRecordIds || []).includes(recordId)) {
+            actions.push({ label: LABELS.rescheduleEllipsis, name: 'reschedule', iconName: 'utility:event' });
         }
         doneCallback(actions);
     }
@@ -0,0 +1,100 @@
+/**
+ * Inline edit utilities for Lead Queue
+ * Makes the Status and Qualification Status columns editable and saves the table's draft values
+ */
+import getInlineEditOptions from '@salesforce/apex/LeadQueueService.getInlineEditOptions';
+import saveInlineEdits from '@salesforce/apex/LeadQueueService.saveInlineEdits';
+import { SharedUtils } from 'c/sharedUtils';
+import { LABELS, formatLabel } from 'c/leadQueueLabels';
+
+// Datatable column -> InlineEdit property, options and edit permission from getInlineEditOptions
+const EDITABLE_COLUMNS = {
+    Status: { property: 'status', options: 'statusOptions', permission: 'canEditStatus' },
+    Qualification_Status__c: {
+        property: 'qualificationStatus',
+        options: 'qualificationStatusOptions',
+        permission: 'canEditQualificationStatus'
+    }
+};
+
+export class InlineEditManager {
+
+    constructor(component) {
+        this.component = component;
+        this.options = null;
+    }
+
+    /**
+     * Load picklist values and whether the user can edit each column
+     */
+    async load() {
+        try {
+            this.options = await getInlineEditOptions();
+        } catch (error) {
+            console.error('Failed to load Lead Queue inline edit options:', error);
+            this.options = null;
+        }
+        return this.options;
+    }
+
+    /**
+     * Column attributes that make a built-in column editable; empty when it is read-only for the user
+     */
+    getColumnAttributes(fieldName) {
+        const config = EDITABLE_COLUMNS[fieldName];
+        if (!config || !this.options || !this.options[config.permission]) {
+            return {};
+        }
+        return {
+            type: 'picklist',
+            editable: true,
+            typeAttributes: {
+                options: this.options[config.options] || [],
+                placeholder: LABELS.selectAValue
+            }
+        };
+    }
+
+    /**
+     * Save draft values; returns the number saved, the drafts that failed and the datatable errors for them
+     */
+    async save(draftValues) {
+        const edits = (draftValues || []).map(draft => {
+            const edit = { recordId: SharedUtils.normalizeRecordId(draft.Id) };
+            Object.keys(EDITABLE_COLUMNS).forEach(fieldName => {
+                if (draft[fieldName] !== undefined) {
+                    edit[EDITABLE_COLUMNS[fieldName].property] = draft[fieldName];
+                }
+            });
+            return edit;
+        });
+        const results = await saveInlineEdits({ edits });
+
+        const failedDrafts = [];
+        const rowErrors = {};
+        let savedCount = 0;
+        (results || []).forEach((result, index) => {
+            const draft = draftValues[index];
+            if (result.success) {
+                savedCount++;
+                return;
+            }
+            failedDrafts.push(draft);
+            rowErrors[draft.Id] = {
+                title: LABELS.rowNotSaved,
+                messages: [result.message || LABELS.updateFailed],
+                fieldNames: Object.keys(draft).filter(fieldName => EDITABLE_COLUMNS[fieldName])
+            };
+        });
+        const errors = failedDrafts.length
+            ? {
+                rows: rowErrors,
+                table: {
+                    title: failedDrafts.length === 1 ? LABELS.oneRowNotSaved : formatLabel(LABELS.rowsNotSaved, failedDrafts.length),
+                    messages: failedDrafts.map(draft => rowErrors[draft.Id].messages[0])
+                }
+            }
+            : null;
+        return { savedCount, failedDrafts, errors };
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Keyboard shortcuts for Lead Queue
+ * Single-key shortcuts for the queue workflow, ignored while the agent is typing in a field
+ */
+import { SharedUtils } from 'c/sharedUtils';
+import { LABELS } from 'c/leadQueueLabels';
+
+// Elements that take typed input; events from inside components are retargeted to their host
+const TYPING_TAGS = new Set([
+    'INPUT',
+    'TEXTAREA',
+    'SELECT',
+    'LIGHTNING-INPUT',
+    'LIGHTNING-TEXTAREA',
+    'LIGHTNING-COMBOBOX',
+    'LIGHTNING-DUAL-LISTBOX',
+    'LIGHTNING-RECORD-PICKER',
+    'LIGHTNING-INPUT-FIELD'
+]);
+// Enter already activates these (the table handles its own keyboard navigation)
+const ENTER_TAGS = new Set([
+    'A',
+    'BUTTON',
+    'LIGHTNING-BUTTON',
+    'LIGHTNING-BUTTON-ICON',
+    'LIGHTNING-BUTTON-MENU',
+    'LIGHTNING-MENU-ITEM',
+    'C-LEAD-QUEUE-DATATABLE',
+    'LIGHTNING-DATATABLE'
+]);
+
+const TILE_KEYS = ['1', '2', '3', '4', '5', '6'];
+const TILE_FILTERS = [null, 'highPriority', 'inContact', 'noContact', 'retainerSent', 'referrals'];
+
+const SHORTCUTS = [
+    { keys: ['n'], label: 'N', description: LABELS.shortcutAssignNext, action: 'assignNext', utility: true },
+    { keys: ['x'], label: 'X', description: LABELS.shortcutRelease, action: 'release', utility: true },
+    { keys: ['r'], label: 'R', description: LABELS.shortcutRefresh, action: 'refresh', utility: true },
+    { keys: ['s'], label: 'S', description: LABELS.shortcutSwitchView, action: 'switchView' },
+    { keys: TILE_KEYS, label: '1 – 6', description: LABELS.shortcutToggleTile, action: 'toggleTile' },
+    { keys: ['j'], label: 'J', description: LABELS.shortcutFocusNext, action: 'focusNext' },
+    { keys: ['k'], label: 'K', description: LABELS.shortcutFocusPrevious, action: 'focusPrevious' },
+    { keys: ['o', 'Enter'], label: LABELS.shortcutOpenKeys, description: LABELS.shortcutOpenFocused, action: 'openFocused' },
+    { keys: ['c'], label: 'C', description: LABELS.shortcutClaimFocused, action: 'claimFocused' },
+    { keys: ['?'], label: '?', description: LABELS.shortcutToggleHelp, action: 'toggleHelp', utility: true },
+    { keys: ['Escape'], label: 'Esc', description: LABELS.shortcutCloseHelp, action: 'closeHelp', utility: true }
+];
+
+export class KeyboardShortcutManager {
+
+    constructor(component) {
+        this.component = component;
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    attach() {
+        this.component.template.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    detach() {
+        this.component.template.removeEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Shortcuts available in the current interface, for the help overlay
+     */
+    getShortcuts() {
+        const isUtility = this.component.showUtilityInterface;
+        return SHORTCUTS
+            .filter(shortcut => !isUtility || shortcut.utility)
+            .map(({ label, description, action }) => ({ key: action, label, description }));
+    }
+
+    handleKeyDown(event) {
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey || this.isTyping(event)) {
+            return;
+        }
+        const key = event.key && event.key.length === 1 && event.key !== '?' ? event.key.toLowerCase() : event.key;
+        const shortcut = SHORTCUTS.find(candidate => candidate.keys.includes(key));
+        if (!shortcut || (this.component.showUtilityInterface && !shortcut.utility)) {
+            return;
+        }
+        if (key === 'Enter' && this.getPath(event).some(node => node && ENTER_TAGS.has(node.tagName))) {
+            return;
+        }
+        if (this.run(shortcut.action, key)) {
+            event.preventDefault();
+            event.stopPropagation();
+        }
+    }
+
+    /**
+     * Run the action; false when it does not apply right now so the key keeps its default behaviour
+     */
+    run(action, key) {
+        const component = this.component;
+        switch (action) {
+            case 'assignNext':
+                if (component.isAssignButtonDisabled || !component.canClaimMore) {
+                    return false;
+                }
+                component.handleAssignNext();
+                return true;
+            case 'release':
+                if (component.isReleaseButtonDisabled || !component.hasAssignments) {
+                    return false;
+                }
+                component.handleReleaseAssignments();
+                return true;
+            case 'refresh':
+                component.handleRefresh();
+                return true;
+            case 'switchView':
+                if (component.showScheduledCalls) {
+                    component.showReadyToCalls();
+                } else {
+                    component.showScheduledCallsView();
+                }
+                return true;
+            case 'toggleTile':
+                component.toggleTileFilter(TILE_FILTERS[TILE_KEYS.indexOf(key)]);
+                return true;
+            case 'focusNext':
+                return this.moveFocus(1);
+            case 'focusPrevious':
+                return this.moveFocus(-1);
+            case 'openFocused':
+                return this.withFocusedRow(recordId => component.navigateToRecord(recordId));
+            case 'claimFocused':
+                return this.withFocusedRow(recordId => component.claimFocusedRecord(recordId));
+            case 'toggleHelp':
+                component.showShortcutHelp = !component.showShortcutHelp;
+                return true;
+            case 'closeHelp':
+                if (!component.showShortcutHelp) {
+                    return false;
+                }
+                component.showShortcutHelp = false;
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Move the focused row up or down the current page, starting from the top
+     */
+    moveFocus(step) {
+        const rows = this.component.records || [];
+        if (!rows.length) {
+            return false;
+        }
+        const currentIndex = rows.findIndex(row => SharedUtils.normalizeRecordId(row.Id) === this.component.focusedRowId);
+        const nextIndex = currentIndex < 0
+            ? 0
+            : Math.min(rows.length - 1, Math.max(0, currentIndex + step));
+        this.component.setFocusedRow(SharedUtils.normalizeRecordId(rows[nextIndex].Id));
+        return true;
+    }
+
+    withFocusedRow(callback) {
+        const recordId = this.component.focusedRowId;
+        const isOnPage = (this.component.records || []).some(row => SharedUtils.normalizeRecordId(row.Id) === recordId);
+        if (!recordId || !isOnPage) {
+            return false;
+        }
+        callback(recordId);
+        return true;
+    }
+
+    isTyping(event) {
+        return this.getPath(event).some(node => node && (TYPING_TAGS.has(node.tagName) || node.isContentEditable));
+    }
+
+    getPath(event) {
+        return typeof event.composedPath === 'function' ? event.composedPath() : [event.target];
+    }
+}
@@ -0,0 +1,295 @@
+/**
+ * New lead alerts for Lead Queue
+ * Opt-in alerts (browser notification, sound, utility bar highlight) when a newly created lead is high priority
+ * or matches the agent's chosen saved view, honouring the agent's mute switch and quiet hours
+ */
+import getQueueRowUpdates from '@salesforce/apex/LeadQueueService.getQueueRowUpdates';
+import { setUtilityHighlighted, setUtilityLabel } from 'lightning/platformUtilityBarApi';
+import { SharedUtils, QUEUE_ACTIONS } from 'c/sharedUtils';
+import { LABELS, formatLabel } from 'c/leadQueueLabels';
+import { PREFERENCE_KEYS } from './preferenceManager';
+
+export const DEFAULT_ALERT_SETTINGS = {
+    enabled: false,
+    muted: false,
+    highPriority: true,
+    viewId: null,
+    browserNotification: true,
+    sound: true,
+    quietStart: null,
+    quietEnd: null
+};
+
+// Filters for the High Priority tile in Ready to Call, where new leads land
+const HIGH_PRIORITY_FILTERS = { tileFilter: 'highPriority', showScheduledCalls: false };
+// A full-page viewer waits this long so the utility bar viewer in the same app can alert first
+const SECONDARY_ALERT_DELAY = 1500;
+const MAX_NAMES_IN_ALERT = 3;
+const NOTIFICATION_TAG = 'lead-queue-new-leads';
+
+export class LeadAlertManager {
+
+    constructor(component) {
+        this.component = component;
+        this.alertedIds = new Set();
+        this.audioContext = null;
+        this.isStopped = false;
+    }
+
+    /**
+     * Read the saved settings; call once preferences are loaded
+     */
+    load() {
+        const preferenceManager = this.component.preferenceManager;
+        const saved = preferenceManager ? preferenceManager.get(PREFERENCE_KEYS.ALERTS) : null;
+        this.component.alertSettings = { ...DEFAULT_ALERT_SETTINGS, ...(saved || {}) };
+    }
+
+    async save(settings) {
+        const alertSettings = { ...DEFAULT_ALERT_SETTINGS, ...settings };
+        this.component.alertSettings = alertSettings;
+        if (!alertSettings.enabled || alertSettings.muted) {
+            this.clear();
+        }
+        if (this.component.preferenceManager) {
+            await this.component.preferenceManager.save(PREFERENCE_KEYS.ALERTS, alertSettings);
+        }
+    }
+
+    stop() {
+        this.isStopped = true;
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+            this.audioContext = null;
+        }
+    }
+
+    /**
+     * Browsers only show the permission prompt from a user action, so call this from the click that saves the settings
+     */
+    requestNotificationPermission() {
+        if (typeof Notification === 'undefined' || Notification.permission !== 'default') {
+            return;
+        }
+        Promise.resolve(Notification.requestPermission()).catch(error => {
+            console.error('Failed to request notification permission:', error);
+        });
+    }
+
+    get notificationPermission() {
+        return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+    }
+
+    isActive(now = new Date()) {
+        const settings = this.component.alertSettings;
+        if (!settings || !settings.enabled || settings.muted || (!settings.highPriority && !settings.viewId)) {
+            return false;
+        }
+        return !this.isQuietTime(now);
+    }
+
+    /**
+     * Quiet hours are in the user's Salesforce time zone and may run past midnight (e.g. 18:00 to 08:00)
+     */
+    isQuietTime(now = new Date()) {
+        const settings = this.component.alertSettings || {};
+        const start = toMinutes(settings.quietStart);
+        const end = toMinutes(settings.quietEnd);
+        if (start === null || end === null || start === end) {
+            return false;
+        }
+        const parts = SharedUtils.getZonedParts(now);
+        const current = parts ? parts.hour * 60 + parts.minute : now.getHours() * 60 + now.getMinutes();
+        return start < end
+            ? current >= start && current < end
+            : current >= start || current < end;
+    }
+
+    /**
+     * Leads created since the last refresh event: alert for the ones that match the agent's settings
+     */
+    async handleNewRecords(recordIds) {
+        if (!this.isActive()) {
+            return;
+        }
+        const ids = [...new Set((recordIds || []).map(recordId => SharedUtils.normalizeRecordId(recordId)))]
+            .filter(recordId => recordId && !this.alertedIds.has(recordId));
+        if (!ids.length) {
+            return;
+        }
+        let records;
+        try {
+            records = await this.findMatchingRecords(ids);
+        } catch (error) {
+            console.error('Failed to check new leads for alerts:', error);
+            return;
+        }
+        if (records.length && !this.component.showUtilityInterface) {
+            await new Promise(resolve => {
+                setTimeout(resolve, SECONDARY_ALERT_DELAY);
+            });
+        }
+        const unseen = records.filter(record => !this.alertedIds.has(record.recordId));
+        if (unseen.length && !this.isStopped && this.isActive()) {
+            this.alert(unseen);
+        }
+    }
+
+    /**
+     * Another viewer in the app already alerted for these leads
+     */
+    markAlerted(recordIds) {
+        (recordIds || []).forEach(recordId => {
+            const normalizedId = SharedUtils.normalizeRecordId(recordId);
+            if (normalizedId) {
+                this.alertedIds.add(normalizedId);
+            }
+        });
+    }
+
+    async findMatchingRecords(recordIds) {
+        const settings = this.component.alertSettings;
+        const filterSets = [];
+        if (settings.highPriority) {
+            filterSets.push(HIGH_PRIORITY_FILTERS);
+        }
+        const viewFilters = settings.viewId && this.component.savedViewManager
+            ? this.component.savedViewManager.getViewFilters(settings.viewId)
+            : null;
+        if (viewFilters) {
+            filterSets.push(viewFilters);
+        }
+        const responses = await Promise.all(filterSets.map(filters => getQueueRowUpdates({
+            recordIds,
+            statusFilter: filters.statusFilter || '',
+            caseTypeFilter: filters.caseTypeFilter || '',
+            dueDateFilter: filters.dueDateFilter || '',
+            showScheduledCalls: filters.showScheduledCalls === true,
+            tileFilter: filters.tileFilter || null,
+            searchTerm: null,
+            includeStats: false
+        })));
+
+        const matches = new Map();
+        responses
+            .filter(response => response && response.success && Array.isArray(response.records))
+            .forEach(response => response.records.forEach(record => {
+                const recordId = SharedUtils.normalizeRecordId(record.recordId);
+                if (recordId && !matches.has(recordId)) {
+                    matches.set(recordId, {
+                        recordId,
+                        displayName: record.displayName || LABELS.newLead,
+                        status: record.status || ''
+                    });
+                }
+            }));
+        return [...matches.values()];
+    }
+
+    alert(records) {
+        const settings = this.component.alertSettings;
+        this.markAlerted(records.map(record => record.recordId));
+        this.component.newLeadAlerts = [...records, ...(this.component.newLeadAlerts || [])];
+        if (this.component.queueMessenger) {
+            this.component.queueMessenger.publish(QUEUE_ACTIONS.ALERT, records.map(record => record.recordId));
+        }
+        if (settings.browserNotification) {
+            this.showNotification(records);
+        }
+        if (settings.sound) {
+            this.playSound();
+        }
+        this.highlightUtility();
+    }
+
+    /**
+     * Dismiss the alert banner and the utility bar highlight
+     */
+    clear() {
+        this.component.newLeadAlerts = [];
+        this.highlightUtility();
+    }
+
+    showNotification(records) {
+        if (this.notificationPermission !== 'granted') {
+            return;
+        }
+        try {
+            const notification = new Notification(getAlertTitle(records.length), {
+                body: getAlertBody(records),
+                tag: NOTIFICATION_TAG
+            });
+            notification.onclick = () => {
+                window.focus();
+                this.component.navigateToRecord(records[0].recordId);
+                notification.close();
+            };
+        } catch (error) {
+            console.error('Failed to show new lead notification:', error);
+        }
+    }
+
+    /**
+     * Two short tones, generated so no sound file has to be deployed
+     */
+    playSound() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            return;
+        }
+        try {
+            if (!this.audioContext) {
+                this.audioContext = new AudioContextClass();
+            }
+            const context = this.audioContext;
+            [880, 1175].forEach((frequency, index) => {
+                const startAt = context.currentTime + index * 0.18;
+                const oscillator = context.createOscillator();
+                const gain = context.createGain();
+                oscillator.frequency.value = frequency;
+                gain.gain.setValueAtTime(0.15, startAt);
+                gain.gain.exponentialRampToValueAtTime(0.001, startAt + 0.15);
+                oscillator.connect(gain);
+                gain.connect(context.destination);
+                oscillator.start(startAt);
+                oscillator.stop(startAt + 0.15);
+            });
+        } catch (error) {
+            console.error('Failed to play new lead alert sound:', error);
+        }
+    }
+
+    /**
+     * Highlight the utility bar item and count the unseen leads in its label; outside the utility bar this is a no-op
+     */
+    highlightUtility() {
+        const utilityId = this.component.utilityId;
+        if (!utilityId) {
+            return;
+        }
+        const count = (this.component.newLeadAlerts || []).length;
+        const label = this.component.label;
+        Promise.all([
+            setUtilityHighlighted(utilityId, { highlighted: count > 0 }),
+            setUtilityLabel(utilityId, count > 0 ? `${label} (${count})` : label)
+        ]).catch(error => {
+            console.error('Failed to update the utility bar:', error);
+        });
+    }
+}
+
+function toMinutes(time) {
+    const match = typeof time === 'string' ? time.match(/^(\d{1,2}):(\d{2})/) : null;
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+export function getAlertTitle(count) {
+    return count === 1 ? LABELS.newLeadAlertTitle : formatLabel(LABELS.newLeadsAlertTitle, count);
+}
+
+function getAlertBody(records) {
+    const names = records.slice(0, MAX_NAMES_IN_ALERT)
+        .map(record => (record.status ? `${record.displayName} (${record.status})` : record.displayName));
+    const remaining = records.length - names.length;
+    return remaining > 0 ? formatLabel(LABELS.alertNamesAndMore, names.join(', '), remaining) : names.join(', ');
+}
@@ -0,0 +1,68 @@
+/**
+ * Preference utilities for Lead Queue
+ * Loads and persists per-user viewer preferences (stored server-side)
+ */
+import getUserPreferences from '@salesforce/apex/LeadQueuePreferenceService.getUserPreferences';
+import saveUserPreference from '@salesforce/apex/LeadQueuePreferenceService.saveUserPreference';
+
+export const PREFERENCE_KEYS = {
+    SORT: 'sort',
+    DEFAULT_VIEW: 'defaultView',
+    COLUMNS: 'columns',
+    ALERTS: 'alerts'
+};
+
+export class PreferenceManager {
+
+    constructor(component) {
+        this.component = component;
+        this.preferences = {};
+    }
+
+    /**
+     * Load all preferences for the current user
+     */
+    async load() {
+        try {
+            this.preferences = (await getUserPreferences()) || {};
+        } catch (error) {
+            console.error('Failed to load Lead Queue preferences:', error);
+            this.preferences = {};
+        }
+        return this.preferences;
+    }
+
+    /**
+     * Get a parsed JSON preference value
+     */
+    get(key) {
+        const raw = this.preferences[key];
+        if (!raw) {
+            return null;
+        }
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Persist a preference value; null or undefined clears it
+     */
+    async save(key, value) {
+        const raw = value === null || value === undefined ? null : JSON.stringify(value);
+        const preferences = { ...this.preferences };
+        if (raw) {
+            preferences[key] = raw;
+        } else {
+            delete preferences[key];
+        }
+        this.preferences = preferences;
+        try {
+            await saveUserPreference({ preferenceKey: key, value: raw });
+        } catch (error) {
+            console.error('Failed to save Lead Queue preference ' + key + ':', error);
+        }
+    }
+}
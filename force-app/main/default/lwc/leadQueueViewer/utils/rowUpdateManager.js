@@ -0,0 +1,215 @@
+/**
+ * Incremental row updates for Lead Queue
+ * Applies the records named in refresh events to the loaded page instead of reloading it, and reports when
+ * a change reorders the page or shifts rows between pages so the caller can fall back to a full reload
+ */
+import getQueueRowUpdates from '@salesforce/apex/LeadQueueService.getQueueRowUpdates';
+import { SharedUtils } from 'c/sharedUtils';
+
+// Change types carried by LeadQueueRefresh__e (see LeadQueueRefreshPublisher)
+export const CHANGE_TYPES = {
+    CLAIM: 'claim',
+    RELEASE: 'release',
+    UPDATE: 'update',
+    INSERT: 'insert',
+    DELETE: 'delete'
+};
+
+const ASSIGNMENT_CHANGES = new Set([CHANGE_TYPES.CLAIM, CHANGE_TYPES.RELEASE]);
+const ASSIGNMENT_SORT_FIELDS = new Set(['assignedTo', 'assignmentTimer']);
+// Sorted column -> row property holding its raw value
+const SORT_VALUE_FIELDS = {
+    callDateTime: 'callAtTime',
+    assignmentTimer: 'assignmentTimestamp'
+};
+// Mirrors MAX_PAGE_SIZE in LeadQueueService
+const MAX_PATCH_RECORDS = 200;
+
+export class RowUpdateManager {
+
+    constructor(component) {
+        this.component = component;
+        this.pendingChanges = [];
+        this.needsFullReload = false;
+    }
+
+    /**
+     * Queue a change for the next apply; events without record Ids can only be handled by a full reload
+     */
+    addChange(changeType, recordIds) {
+        const ids = (recordIds || [])
+            .map(recordId => SharedUtils.normalizeRecordId(recordId))
+            .filter(recordId => recordId);
+        if (!Object.values(CHANGE_TYPES).includes(changeType) || !ids.length) {
+            this.needsFullReload = true;
+            return;
+        }
+        this.pendingChanges.push({ changeType, recordIds: ids });
+    }
+
+    clear() {
+        this.pendingChanges = [];
+        this.needsFullReload = false;
+    }
+
+    /**
+     * Apply the queued changes to the loaded rows. Resolves false when the page has to be reloaded instead.
+     */
+    async applyPendingChanges() {
+        const changes = this.pendingChanges;
+        const needsFullReload = this.needsFullReload;
+        this.clear();
+        if (needsFullReload) {
+            return false;
+        }
+        if (!changes.length) {
+            return true;
+        }
+
+        const recordIds = [...new Set(changes.flatMap(change => change.recordIds))];
+        const isAssignmentOnly = changes.every(change => ASSIGNMENT_CHANGES.has(change.changeType));
+        if (recordIds.length > MAX_PATCH_RECORDS || (isAssignmentOnly && this.isSortedByAssignment())) {
+            return false;
+        }
+        // Claims and releases never move rows between pages or change the tile counts
+        if (isAssignmentOnly && !recordIds.some(recordId => this.findRowIndex(this.component.originalRecords, recordId) >= 0)) {
+            return true;
+        }
+
+        const requestId = this.component.filterRequestId;
+        const response = await getQueueRowUpdates({
+            recordIds,
+            statusFilter: this.component.statusFilter,
+            caseTypeFilter: this.component.caseTypeFilter,
+            dueDateFilter: this.component.dueDateFilter,
+            showScheduledCalls: this.component.showScheduledCalls,
+            tileFilter: this.component.activeTileFilter,
+            searchTerm: this.component.searchTerm,
+            includeStats: !isAssignmentOnly
+        });
+        if (!response || !response.success) {
+            return false;
+        }
+        if (this.component.filterRequestId !== requestId) {
+            // A full load started while this was in flight and will include the change
+            return true;
+        }
+        return this.patchRows(recordIds, response, !isAssignmentOnly);
+    }
+
+    /**
+     * Replace, insert or remove the changed rows; false if the result can't be worked out from this page alone
+     */
+    patchRows(recordIds, response, hasStats) {
+        const component = this.component;
+        const pageSize = component.pageSize || 50;
+        const currentPage = component.currentPage || 1;
+        const pageOffset = (currentPage - 1) * pageSize;
+        const isLocalOrder = this.isLocalOrder();
+        const updatedRows = new Map(
+            component.dataProcessor.buildRows(response.records, pageOffset)
+                .map(row => [SharedUtils.normalizeRecordId(row.Id), row])
+        );
+        const rows = [...component.originalRecords];
+
+        for (const recordId of recordIds) {
+            const index = this.findRowIndex(rows, recordId);
+            const updatedRow = updatedRows.get(recordId);
+            if (index >= 0 && updatedRow) {
+                if (this.changesOrder(rows[index], updatedRow)) {
+                    return false;
+                }
+                rows[index] = { ...updatedRow, priorityRank: rows[index].priorityRank };
+            } else if (index >= 0) {
+                if (!isLocalOrder) {
+                    return false;
+                }
+                rows.splice(index, 1);
+            } else if (updatedRow) {
+                const position = isLocalOrder ? this.findInsertPosition(rows, updatedRow) : -1;
+                // Rows sorting ahead of this page belong on an earlier one and push every row along
+                if (position < 0 || (position === 0 && currentPage > 1)) {
+                    return false;
+                }
+                rows.splice(position, 0, updatedRow);
+                if (rows.length > pageSize) {
+                    rows.pop();
+                }
+            } else if (currentPage > 1) {
+                // It may have left an earlier page, which would shift this one
+                return false;
+            }
+        }
+
+        const listTotalRecords = hasStats ? response.listTotalRecords : component.listTotalRecords;
+        if (hasStats && rows.length !== Math.max(0, Math.min(pageSize, listTotalRecords - pageOffset))) {
+            // Rows from the next page would move up
+            return false;
+        }
+
+        component.originalRecords = isLocalOrder
+            ? rows.map((row, index) => ({ ...row, priorityRank: pageOffset + index + 1 }))
+            : rows;
+        component.dataProcessor.applyClientSideFilter();
+        if (hasStats) {
+            component.originalStats = response.stats
+                ? {
+                    ...response.stats,
+                    overdueScheduledCount: response.stats.overdueScheduledCount ?? component.originalStats?.overdueScheduledCount ?? 0
+                }
+                : SharedUtils.getDefaultStats();
+            component.queueStats = { ...component.originalStats };
+            component.listTotalRecords = listTotalRecords;
+        }
+        return true;
+    }
+
+    findRowIndex(rows, recordId) {
+        return rows.findIndex(row => SharedUtils.normalizeRecordId(row.Id) === recordId);
+    }
+
+    /**
+     * Rows can only be inserted or removed locally in the default priority order, where a row's rank is its
+     * position; sorted and searched views rank rows across the whole queue
+     */
+    isLocalOrder() {
+        const sortKey = this.component.sortKey;
+        const isDefaultSort = (!sortKey || sortKey === 'priority') && this.component.sortedDirection !== 'desc';
+        return isDefaultSort && !(this.component.searchTerm || '').trim();
+    }
+
+    isSortedByAssignment() {
+        return ASSIGNMENT_SORT_FIELDS.has(this.component.sortedBy);
+    }
+
+    /**
+     * Whether the change moves the row in the queue order or in the sorted column
+     */
+    changesOrder(row, updatedRow) {
+        if (this.compareQueueOrder(row, updatedRow) !== 0) {
+            return true;
+        }
+        const sortedBy = this.component.sortedBy;
+        if (!sortedBy || sortedBy === 'priorityRank') {
+            return false;
+        }
+        const valueField = SORT_VALUE_FIELDS[sortedBy] || sortedBy;
+        return row[valueField] !== updatedRow[valueField];
+    }
+
+    /**
+     * Mirrors the default order in LeadQueueService: Ready to Call by priority then call time,
+     * Scheduled Calls by call time
+     */
+    compareQueueOrder(a, b) {
+        if (!this.component.showScheduledCalls && a.priorityScore !== b.priorityScore) {
+            return (a.priorityScore ?? 99) - (b.priorityScore ?? 99);
+        }
+        return (a.callAtTime ?? 0) - (b.callAtTime ?? 0);
+    }
+
+    findInsertPosition(rows, row) {
+        const position = rows.findIndex(existing => this.compareQueueOrder(existing, row) > 0);
+        return position >= 0 ? position : rows.length;
+    }
+}
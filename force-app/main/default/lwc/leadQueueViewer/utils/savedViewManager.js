@@ -0,0 +1,162 @@
+/**
+ * Saved view utilities for Lead Queue
+ * Loads, applies and persists named filter views (personal and shared team views)
+ */
+import getSavedViews from '@salesforce/apex/LeadQueueViewService.getSavedViews';
+import saveView from '@salesforce/apex/LeadQueueViewService.saveView';
+import deleteView from '@salesforce/apex/LeadQueueViewService.deleteView';
+import { PREFERENCE_KEYS } from './preferenceManager';
+
+export class SavedViewManager {
+
+    constructor(component) {
+        this.component = component;
+    }
+
+    /**
+     * Load personal and shared views for the current user
+     */
+    async load() {
+        try {
+            const result = await getSavedViews();
+            this.component.savedViews = (result && Array.isArray(result.views)) ? result.views : [];
+            this.component.canManageSharedViews = Boolean(result && result.canManageSharedViews);
+        } catch (error) {
+            console.error('Failed to load Lead Queue saved views:', error);
+            this.component.savedViews = [];
+            this.component.canManageSharedViews = false;
+        }
+        return this.component.savedViews;
+    }
+
+    findView(viewId) {
+        return (this.component.savedViews || []).find(view => view.id === viewId) || null;
+    }
+
+    /**
+     * Capture the viewer's current filter state
+     */
+    getCurrentFilters() {
+        return {
+            statusFilter: this.component.statusFilter || '',
+            caseTypeFilter: this.component.caseTypeFilter || '',
+            dueDateFilter: this.component.dueDateFilter || '',
+            tileFilter: this.component.activeTileFilter || null,
+            showScheduledCalls: Boolean(this.component.showScheduledCalls)
+        };
+    }
+
+    /**
+     * Parsed filters of a saved view; null when the view is unknown
+     */
+    getViewFilters(viewId) {
+        const view = this.findView(viewId);
+        if (!view) {
+            return null;
+        }
+        try {
+            return JSON.parse(view.filters || '{}') || {};
+        } catch (error) {
+            console.error('Invalid saved view filters:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Copy a view's filters onto the viewer; returns false when the view is unknown
+     */
+    applyView(viewId) {
+        const view = this.findView(viewId);
+        if (!view) {
+            return false;
+        }
+        const filters = this.getViewFilters(viewId);
+        this.component.filterRequestId++;
+        this.component.statusFilter = filters.statusFilter || '';
+        this.component.caseTypeFilter = filters.caseTypeFilter || '';
+        this.component.dueDateFilter = filters.dueDateFilter || '';
+        this.component.activeTileFilter = filters.tileFilter || null;
+        this.component.showScheduledCalls = filters.showScheduledCalls === true;
+        this.component.currentPage = 1;
+        this.component.selectedViewId = view.id;
+        return true;
+    }
+
+    async createView(name, isShared = false) {
+        const view = await saveView({
+            viewId: null,
+            name,
+            filters: JSON.stringify(this.getCurrentFilters()),
+            isShared
+        });
+        this.upsertLocalView(view);
+        this.component.selectedViewId = view.id;
+        return view;
+    }
+
+    async updateViewFilters(viewId) {
+        const existing = this.findView(viewId);
+        if (!existing) {
+            return null;
+        }
+        const view = await saveView({
+            viewId,
+            name: existing.name,
+            filters: JSON.stringify(this.getCurrentFilters()),
+            isShared: existing.isShared
+        });
+        this.upsertLocalView(view);
+        return view;
+    }
+
+    async renameView(viewId, name) {
+        const existing = this.findView(viewId);
+        if (!existing) {
+            return null;
+        }
+        const view = await saveView({
+            viewId,
+            name,
+            filters: null,
+            isShared: existing.isShared
+        });
+        this.upsertLocalView(view);
+        return view;
+    }
+
+    async removeView(viewId) {
+        await deleteView({ viewId });
+        this.component.savedViews = (this.component.savedViews || []).filter(view => view.id !== viewId);
+        if (this.component.selectedViewId === viewId) {
+            this.component.selectedViewId = '';
+        }
+        if (this.getDefaultViewId() === viewId) {
+            await this.setDefaultView(null);
+        }
+    }
+
+    getDefaultViewId() {
+        const preferenceManager = this.component.preferenceManager;
+        return preferenceManager ? preferenceManager.get(PREFERENCE_KEYS.DEFAULT_VIEW) : null;
+    }
+
+    async setDefaultView(viewId) {
+        const preferenceManager = this.component.preferenceManager;
+        if (preferenceManager) {
+            await preferenceManager.save(PREFERENCE_KEYS.DEFAULT_VIEW, viewId || null);
+        }
+        this.component.defaultViewId = viewId || null;
+    }
+
+    upsertLocalView(view) {
+        const views = (this.component.savedViews || []).filter(existing => existing.id !== view.id);
+        views.push(view);
+        views.sort((a, b) => {
+            if (a.isShared !== b.isShared) {
+                return a.isShared ? 1 : -1;
+            }
+            return (a.name || '').localeCompare(b.name || '');
+        });
+        this.component.savedViews = views;
+    }
+}
@@ -3,6 +3,7 @@
  * Handles assignment timers, real-time updates, and timestamp processing
  */
 import { SharedUtils } from 'c/sharedUtils';
+import { LABELS, formatLabel } from 'c/leadQueueLabels';
 
 export class TimerManager {
     
@@ -19,101 +20,175 @@ export class TimerManager {
         }
         
         // Use server-provided timestamp if available
-        if (assignedTimestamp) {
-            try {
-                // Handle both Long timestamp (from server) and ISO string formats
-                let assignedTime;
-                if (typeof assignedTimestamp === 'number') {
-                    // Server returns Long timestamp (milliseconds since epoch)
-                    assignedTime = new Date(assignedTimestamp);
-                } else {
-                    // ISO string format
-                    assignedTime = new Date(assignedTimestamp);
-                }
-                
-                const diffMs = this.component.currentTime - assignedTime;
-                const totalSeconds = Math.floor(diffMs / 1000);
-                
-                // Handle negative time (future timestamps) gracefully
-                if (totalSeconds < 0) {
-                    return '00:00';
-                }
-                
-                const minutes = Math.floor(totalSeconds / 60);
-                const seconds = totalSeconds % 60;
-                
-                return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-            } catch (error) {
-                // Fall through to default label without spamming console output
-            }
+        const heldSeconds = this.getHeldSeconds(assignedTimestamp);
+        if (heldSeconds !== null) {
+            return SharedUtils.formatDuration(heldSeconds);
         }
         
         // If no timestamp available but record is assigned, show this as a fallback
         // This shouldn't happen in normal operation with Platform Cache working
-        return 'Assigned';
+        return LABELS.assigned;
     }
 
     /**
-     * Get utility bar timer for current user only
+     * Seconds since the assignment timestamp (Long from the server or ISO string), or null when unknown
      */
-    getUtilityBarTimer() {
-        // Only show timer for records assigned to the current user
-        if (this.component.hasAssignments && this.component.userAssignedRecordIds && this.component.userAssignedRecordIds.length > 0) {
-            // Get the user's assigned record ID (should only be one)
-            const assignedRecordId = this.component.userAssignedRecordIds[0];
-            
-            // Check if userAssignmentTimestamps exists and has the record
-            if (!this.component.userAssignmentTimestamps) {
-                return 'Time Assigned: --:--';
-            }
-            
-            const timestamp = this.component.userAssignmentTimestamps[assignedRecordId];
-            
-            if (timestamp) {
-                const timerValue = this.calculateTimerValue(timestamp);
-                return timerValue ? `Time Assigned: ${timerValue}` : 'Time Assigned: --:--';
-            }
-            
-            return 'Time Assigned: --:--';
+    getHeldSeconds(assignedTimestamp) {
+        if (!assignedTimestamp) {
+            return null;
         }
-        
-        return '';
+        const assignedTime = new Date(assignedTimestamp).getTime();
+        if (Number.isNaN(assignedTime)) {
+            return null;
+        }
+        // Handle negative time (future timestamps) gracefully
+        return Math.max(0, Math.floor((this.component.currentTime - assignedTime) / 1000));
     }
 
     /**
-     * Helper method to calculate timer value from timestamp
+     * Cell class for the Time Assigned column, colored by the admin-configured SLA thresholds
      */
-    calculateTimerValue(assignmentTimestamp) {
-        if (!assignmentTimestamp) {
+    getAssignmentTimerClass(assignedTo, assignedTimestamp) {
+        if (!assignedTo) {
+            return '';
+        }
+        const level = SharedUtils.getSlaLevel(
+            this.getHeldSeconds(assignedTimestamp),
+            this.component.slaWarningMinutes,
+            this.component.slaBreachMinutes
+        );
+        return level ? `sla-timer sla-${level}` : '';
+    }
+
+    /**
+     * SLA level for one of the current user's claims, for the utility bar timer
+     */
+    getUtilityBarSlaLevel(recordId) {
+        const timestamps = this.component.userAssignmentTimestamps || {};
+        if (!recordId || !timestamps[recordId]) {
+            return '';
+        }
+        return SharedUtils.getSlaLevel(
+            this.getHeldSeconds(timestamps[recordId]),
+            this.component.slaWarningMinutes,
+            this.component.slaBreachMinutes
+        );
+    }
+
+    /**
+     * Number of active claims (any agent) held past the SLA breach threshold
+     */
+    getOverSlaCount() {
+        const breachMinutes = this.component.slaBreachMinutes;
+        if (!breachMinutes) {
+            return 0;
+        }
+        return (this.component.activeClaimTimestamps || [])
+            .filter(timestamp => {
+                const heldSeconds = this.getHeldSeconds(timestamp);
+                return heldSeconds !== null && heldSeconds >= breachMinutes * 60;
+            })
+            .length;
+    }
+
+    /**
+     * Get utility bar timer for one of the current user's claims
+     */
+    getUtilityBarTimer(recordId) {
+        const timestamps = this.component.userAssignmentTimestamps || {};
+        const timerValue = this.calculateTimerValue(timestamps[recordId]);
+        return formatLabel(LABELS.timeAssignedTimer, timerValue || '--:--');
+    }
+
+    /**
+     * Seconds until one of the current user's claims expires, or null when unknown
+     */
+    getClaimSecondsLeft(recordId) {
+        const expirations = this.component.claimExpirations || {};
+        const tracker = this.component.claimExpiryTracker;
+        if (!recordId || !expirations[recordId] || !tracker) {
             return null;
         }
-        
-        try {
-            // Handle both Long timestamp (from server) and ISO string formats
-            let assignedTime;
-            if (typeof assignmentTimestamp === 'number') {
-                assignedTime = new Date(assignmentTimestamp);
-            } else {
-                assignedTime = new Date(assignmentTimestamp);
-            }
-            
-            const diffMs = this.component.currentTime - assignedTime;
-            const totalSeconds = Math.floor(diffMs / 1000);
-            
-            // Handle negative time gracefully
-            if (totalSeconds < 0) {
-                return '00:00';
+        return tracker.getSecondsLeft(expirations[recordId], this.component.currentTime.getTime());
+    }
+
+    /**
+     * Get utility bar countdown for one of the current user's claims
+     */
+    getUtilityBarExpiry(recordId) {
+        const secondsLeft = this.getClaimSecondsLeft(recordId);
+        if (secondsLeft === null) {
+            return '';
+        }
+        return secondsLeft > 0 ? formatLabel(LABELS.expiresIn, SharedUtils.formatDuration(secondsLeft)) : LABELS.claimExpired;
+    }
+
+    getClaimExpiryLevel(recordId) {
+        const tracker = this.component.claimExpiryTracker;
+        return tracker ? tracker.getLevel(this.getClaimSecondsLeft(recordId)) : '';
+    }
+
+    /**
+     * The current user's claim that expires first
+     */
+    getNextExpiringRecordId() {
+        const expirations = this.component.claimExpirations || {};
+        const recordIds = this.component.userAssignedRecordIds || [];
+        return recordIds.reduce((soonest, recordId) => {
+            if (!soonest || (expirations[recordId] && expirations[recordId] < (expirations[soonest] || Infinity))) {
+                return recordId;
             }
-            
-            const minutes = Math.floor(totalSeconds / 60);
-            const seconds = totalSeconds % 60;
-            
-            return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-        } catch (error) {
-            return null;
+            return soonest;
+        }, null);
+    }
+
+    /**
+     * One entry per claim for the utility bar, each with its own timer, countdown and state
+     */
+    getAssignedClaims() {
+        return (this.component.userAssignedRecordIds || []).map(recordId => {
+            const expiryLevel = this.getClaimExpiryLevel(recordId);
+            const slaLevel = this.getUtilityBarSlaLevel(recordId);
+            const isExtending = this.component.extendingRecordId === recordId;
+            const isReleasing = this.component.releasingRecordId === recordId;
+            return {
+                recordId,
+                displayName: this.getAssignedRecordDisplayName(recordId),
+                status: this.getAssignedRecordStatus(recordId),
+                timer: this.getUtilityBarTimer(recordId),
+                timerClass: slaLevel ? `assigned-timer sla-${slaLevel}` : 'assigned-timer',
+                expiry: this.getUtilityBarExpiry(recordId),
+                expiryClass: expiryLevel ? `claim-expiry claim-expiry-${expiryLevel}` : 'claim-expiry',
+                cardClass: expiryLevel ? `utility-card assigned-card assigned-card-${expiryLevel}` : 'utility-card assigned-card',
+                extendLabel: isExtending ? LABELS.extending : LABELS.extend,
+                releaseLabel: isReleasing ? LABELS.releasing : LABELS.release,
+                isTransferring: this.component.transferringRecordId === recordId,
+                isSkipping: this.component.skippingRecordId === recordId,
+                isRescheduling: this.component.reschedulingRecordId === recordId,
+                isActionDisabled: Boolean(this.component.extendingRecordId || this.component.releasingRecordId) ||
+                    this.component.isReleasing || !this.component.isCacheReady
+            };
+        });
+    }
+
+    /**
+     * Warn about the user's claims nearing expiry, and re-check assignments once one has lapsed
+     */
+    checkClaimExpiryWarnings() {
+        const notifier = this.component.claimExpiryNotifier;
+        if (notifier && notifier.checkWarnings(this.component.userAssignedRecordIds, this.component.currentTime.getTime())) {
+            this.component.checkUserAssignments();
         }
     }
 
+    /**
+     * Helper method to calculate timer value from timestamp
+     */
+    calculateTimerValue(assignmentTimestamp) {
+        const heldSeconds = this.getHeldSeconds(assignmentTimestamp);
+        return heldSeconds === null ? null : SharedUtils.formatDuration(heldSeconds);
+    }
+
     /**
      * Refresh all table timers
      */
@@ -143,7 +218,8 @@ export class TimerManager {
                 
                 return {
                     ...record,
-                    assignmentTimer: this.getRecordAssignmentTimer(record.Id, record.assignedTo, timestamp)
+                    assignmentTimer: this.getRecordAssignmentTimer(record.Id, record.assignedTo, timestamp),
+                    assignmentTimerClass: this.getAssignmentTimerClass(record.assignedTo, timestamp)
                 };
             });
         }
@@ -164,8 +240,13 @@ export class TimerManager {
 
         // Start live timer updates
         this.component.timerInterval = setInterval(() => {
+            const previousMinute = this.component.currentTime.getMinutes();
             this.component.currentTime = new Date();
             this.refreshTableTimers();
+            this.checkClaimExpiryWarnings();
+            if (this.component.currentTime.getMinutes() !== previousMinute && this.component.dataProcessor) {
+                this.component.dataProcessor.refreshLeadLocalTimes();
+            }
         }, 1000); // Update every second
     }
 
@@ -182,54 +263,53 @@ export class TimerManager {
     /**
      * Get assigned record info for tooltip
      */
-    getAssignedRecordInfo() {
-        const assignedRecord = this.getAssignedRecordForCurrentUser();
+    getAssignedRecordInfo(recordId) {
+        const assignedRecord = this.getAssignedRecordForCurrentUser(recordId);
         return assignedRecord
-            ? `Currently assigned: ${assignedRecord.litify_pm__Display_Name__c || assignedRecord.Name}`
+            ? formatLabel(LABELS.currentlyAssignedTo, assignedRecord.litify_pm__Display_Name__c || assignedRecord.Name)
             : '';
     }
 
     /**
      * Get assigned record display name for utility bar
      */
-    getAssignedRecordDisplayName() {
-        const assignedRecord = this.getAssignedRecordForCurrentUser();
+    getAssignedRecordDisplayName(recordId) {
+        const assignedRecord = this.getAssignedRecordForCurrentUser(recordId);
         return assignedRecord
             ? (assignedRecord.litify_pm__Display_Name__c || assignedRecord.Name)
-            : 'Assigned Record';
+            : LABELS.assignedRecord;
     }
 
     /**
      * Get assigned record status for utility bar
      */
-    getAssignedRecordStatus() {
-        const assignedRecord = this.getAssignedRecordForCurrentUser();
+    getAssignedRecordStatus(recordId) {
+        const assignedRecord = this.getAssignedRecordForCurrentUser(recordId);
         if (assignedRecord && assignedRecord.Status) {
-            return `Status: ${assignedRecord.Status}`;
+            return formatLabel(LABELS.statusValue, assignedRecord.Status);
         }
         return null;
     }
 
-    getAssignedRecordForCurrentUser() {
-        if (!this.component.hasAssignments || !this.component.userAssignedRecordIds || this.component.userAssignedRecordIds.length === 0) {
+    getAssignedRecordForCurrentUser(recordId) {
+        if (!recordId || !(this.component.userAssignedRecordIds || []).includes(recordId)) {
             return null;
         }
 
-        const assignedRecordId = this.component.userAssignedRecordIds[0];
         const recordMatch = (this.component.records || []).find(record => {
             const normalizedId = SharedUtils.normalizeRecordId(record.Id);
-            return normalizedId === assignedRecordId;
+            return normalizedId === recordId;
         });
 
         if (recordMatch) {
             return recordMatch;
         }
 
-        const summary = this.component.assignedRecordSummary;
-        if (summary && summary.recordId === assignedRecordId) {
+        const summary = (this.component.assignedRecordSummaries || {})[recordId];
+        if (summary) {
             return {
-                Name: summary.displayName || 'Assigned Record',
-                litify_pm__Display_Name__c: summary.displayName || 'Assigned Record',
+                Name: summary.displayName || LABELS.assignedRecord,
+                litify_pm__Display_Name__c: summary.displayName || LABELS.assignedRecord,
                 Status: summary.status || null
             };
         }
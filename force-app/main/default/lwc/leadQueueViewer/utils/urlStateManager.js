@@ -0,0 +1,133 @@
+/**
+ * URL state utilities for Lead Queue
+ * Mirrors filters, tile, view mode and page into the tab's page state so views can be deep-linked
+ */
+import { NavigationMixin } from 'lightning/navigation';
+
+// Component property -> page state key (custom page state keys must be namespaced with c__)
+const STATE_KEYS = {
+    statusFilter: 'c__status',
+    caseTypeFilter: 'c__caseType',
+    dueDateFilter: 'c__dueDate',
+    searchTerm: 'c__search',
+    activeTileFilter: 'c__tile'
+};
+const MODE_KEY = 'c__mode';
+const PAGE_KEY = 'c__page';
+const SCHEDULED_MODE = 'scheduled';
+const TAB_PAGE_TYPE = 'standard__navItemPage';
+
+export class UrlStateManager {
+
+    constructor(component) {
+        this.component = component;
+        this.pageReference = null;
+        this.isReady = false;
+    }
+
+    /**
+     * Page state is only synced on the full tab, never from the utility bar
+     */
+    get isEnabled() {
+        return !this.component.utilityMode
+            && Boolean(this.pageReference)
+            && this.pageReference.type === TAB_PAGE_TYPE;
+    }
+
+    hasQueueState() {
+        const state = (this.pageReference && this.pageReference.state) || {};
+        return Object.values(STATE_KEYS).concat([MODE_KEY, PAGE_KEY]).some(key => state[key] !== undefined);
+    }
+
+    /**
+     * Receive a page reference from the CurrentPageReference wire.
+     * Returns true when the viewer state was changed (browser back/forward or an edited URL).
+     */
+    handlePageReference(pageReference) {
+        this.pageReference = pageReference;
+        if (!this.isReady || !this.isEnabled) {
+            return false;
+        }
+        if (this.isSameState(this.pageReference.state, this.buildState())) {
+            return false;
+        }
+        this.applyState(this.pageReference.state);
+        return true;
+    }
+
+    /**
+     * Initial hydration; returns true when the URL carried queue state
+     */
+    hydrate() {
+        this.isReady = true;
+        if (!this.isEnabled || !this.hasQueueState()) {
+            return false;
+        }
+        this.applyState(this.pageReference.state);
+        return true;
+    }
+
+    applyState(state = {}) {
+        const component = this.component;
+        component.filterRequestId++;
+        Object.entries(STATE_KEYS).forEach(([property, key]) => {
+            const value = state[key] || '';
+            component[property] = property === 'activeTileFilter' ? (value || null) : value;
+        });
+        component.showScheduledCalls = state[MODE_KEY] === SCHEDULED_MODE;
+        const page = parseInt(state[PAGE_KEY], 10);
+        component.currentPage = Number.isFinite(page) && page > 0 ? page : 1;
+        component.selectedViewId = '';
+    }
+
+    buildState() {
+        const component = this.component;
+        const state = {};
+        Object.entries(STATE_KEYS).forEach(([property, key]) => {
+            if (component[property]) {
+                state[key] = String(component[property]);
+            }
+        });
+        if (component.showScheduledCalls) {
+            state[MODE_KEY] = SCHEDULED_MODE;
+        }
+        if (component.currentPage > 1) {
+            state[PAGE_KEY] = String(component.currentPage);
+        }
+        return state;
+    }
+
+    /**
+     * Push the viewer state into the URL, adding a browser history entry unless replace is set
+     */
+    sync(replace = false) {
+        if (!this.isReady || !this.isEnabled) {
+            return;
+        }
+        const currentState = this.pageReference.state || {};
+        const queueState = this.buildState();
+        if (this.isSameState(currentState, queueState)) {
+            return;
+        }
+        const otherState = {};
+        Object.keys(currentState)
+            .filter(key => !this.isQueueKey(key))
+            .forEach(key => {
+                otherState[key] = currentState[key];
+            });
+        this.component[NavigationMixin.Navigate]({
+            type: this.pageReference.type,
+            attributes: this.pageReference.attributes,
+            state: { ...otherState, ...queueState }
+        }, replace);
+    }
+
+    isQueueKey(key) {
+        return key === MODE_KEY || key === PAGE_KEY || Object.values(STATE_KEYS).includes(key);
+    }
+
+    isSameState(pageState = {}, queueState) {
+        const keys = Object.values(STATE_KEYS).concat([MODE_KEY, PAGE_KEY]);
+        return keys.every(key => (pageState[key] || '') === (queueState[key] || ''));
+    }
+}
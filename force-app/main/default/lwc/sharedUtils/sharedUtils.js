@@ -1,15 +1,58 @@
+import { publish, subscribe, unsubscribe, APPLICATION_SCOPE } from 'lightning/messageService';
+import { subscribe as empSubscribe, unsubscribe as empUnsubscribe, onError as onEmpError, isEmpEnabled } from 'lightning/empApi';
+import LEAD_QUEUE_EVENTS from '@salesforce/messageChannel/LeadQueueEvents__c';
+import USER_ID from '@salesforce/user/Id';
+import USER_LOCALE from '@salesforce/i18n/locale';
+import USER_TIME_ZONE from '@salesforce/i18n/timeZone';
+import extendClaim from '@salesforce/apex/LeadQueueService.extendClaim';
+import { LABELS, formatLabel } from 'c/leadQueueLabels';
+
+export const DUE_DATE_RANGE = 'range';
+const TIME_FORMAT = { hour: 'numeric', minute: '2-digit' };
+const DATE_TIME_FORMAT = { year: 'numeric', month: '2-digit', day: '2-digit', hour: 'numeric', minute: '2-digit' };
+const ZONED_TIME_FORMAT = { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' };
+const PARTS_FORMAT = {
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+};
+// Intl formatters are expensive to build and rows format many dates, so reuse them
+const formatters = new Map();
+
+function getFormatter(timeZone, options, locale = USER_LOCALE) {
+    const key = `${locale}|${timeZone}|${JSON.stringify(options)}`;
+    if (!formatters.has(key)) {
+        let formatter = null;
+        try {
+            formatter = new Intl.DateTimeFormat(locale, { ...options, timeZone: timeZone || undefined });
+        } catch (error) {
+            // Unknown time zone or locale
+            console.error('Unsupported date format settings:', locale, timeZone, error);
+        }
+        formatters.set(key, formatter);
+    }
+    return formatters.get(key);
+}
+
+function formatDateTime(dateTimeValue, timeZone, options) {
+    if (!dateTimeValue) {
+        return '';
+    }
+    const date = new Date(dateTimeValue);
+    const formatter = getFormatter(timeZone, options);
+    return formatter && !Number.isNaN(date.getTime()) ? formatter.format(date) : '';
+}
+
 export class SharedUtils {
     static getErrorMessage(error) {
         const userFriendlyMessages = {
-            'FIELD_CUSTOM_VALIDATION_EXCEPTION': 'Invalid data provided',
-            'INSUFFICIENT_ACCESS_OR_READONLY': 'Access denied',
-            'QUERY_TIMEOUT': 'Request timed out, please try again',
-            'REQUIRED_FIELD_MISSING': 'Required information is missing',
-            'FIELD_INTEGRITY_EXCEPTION': 'Data validation error'
+            'FIELD_CUSTOM_VALIDATION_EXCEPTION': LABELS.errorInvalidData,
+            'INSUFFICIENT_ACCESS_OR_READONLY': LABELS.errorAccessDenied,
+            'QUERY_TIMEOUT': LABELS.errorTimedOut,
+            'REQUIRED_FIELD_MISSING': LABELS.errorRequiredFieldMissing,
+            'FIELD_INTEGRITY_EXCEPTION': LABELS.errorDataValidation
         };
         
         const errorCode = error?.body?.exceptionType || error?.name;
-        return userFriendlyMessages[errorCode] || 'An error occurred. Please contact your administrator.';
+        return userFriendlyMessages[errorCode] || LABELS.errorGeneric;
     }
 
     static getDefaultStats() {
@@ -19,42 +62,97 @@ export class SharedUtils {
             inContactCount: 0,
             noContactCount: 0,
             retainerSentCount: 0,
-            referralCount: 0
+            referralCount: 0,
+            overdueScheduledCount: 0
         };
     }
 
-    static formatTime(dateTimeValue) {
-        if (!dateTimeValue) return '';
-        
-        try {
-            const dateTime = new Date(dateTimeValue);
-            return dateTime.toLocaleTimeString('en-US', {
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true
-            });
-        } catch (error) {
-            return '';
+    /**
+     * Time of day in the Salesforce user's locale and time zone, or in the given time zone
+     */
+    static formatTime(dateTimeValue, timeZone = USER_TIME_ZONE) {
+        return formatDateTime(dateTimeValue, timeZone, TIME_FORMAT);
+    }
+
+    /**
+     * Date and time in the Salesforce user's locale and time zone, or in the given time zone
+     */
+    static formatCallDateTime(dateTimeValue, timeZone = USER_TIME_ZONE) {
+        return formatDateTime(dateTimeValue, timeZone, DATE_TIME_FORMAT);
+    }
+
+    /**
+     * Time of day with the zone abbreviation (e.g. "2:30 PM CST"), for times in someone else's zone
+     */
+    static formatZonedTime(dateTimeValue, timeZone) {
+        return formatDateTime(dateTimeValue, timeZone, ZONED_TIME_FORMAT);
+    }
+
+    /**
+     * Calendar parts (month 1-12, hour 0-23) of a moment in the user's time zone, or in the given time zone
+     */
+    static getZonedParts(dateTimeValue, timeZone = USER_TIME_ZONE) {
+        const formatter = getFormatter(timeZone, PARTS_FORMAT, 'en-US');
+        const date = new Date(dateTimeValue);
+        if (!formatter || Number.isNaN(date.getTime())) {
+            return null;
         }
+        const parts = {};
+        formatter.formatToParts(date).forEach(part => {
+            if (part.type !== 'literal') {
+                parts[part.type] = Number(part.value);
+            }
+        });
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            // Some browsers report midnight as hour 24
+            hour: parts.hour % 24,
+            minute: parts.minute
+        };
     }
 
-    static formatCallDateTime(dateTimeValue) {
-        if (!dateTimeValue) return '';
-        
-        try {
-            const dateTime = new Date(dateTimeValue);
-            return dateTime.toLocaleDateString('en-US', {
-                month: '2-digit',
-                day: '2-digit',
-                year: 'numeric'
-            }) + ' ' + dateTime.toLocaleTimeString('en-US', {
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true
-            });
-        } catch (error) {
+    /**
+     * The moment a wall-clock time happens in the user's time zone (month 1-12; days past the month end roll over)
+     */
+    static getZonedDate(year, month, day, hour, minute, timeZone = USER_TIME_ZONE) {
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+        let moment = wallClock;
+        // Two passes settle the offset on either side of a daylight saving change
+        for (let pass = 0; pass < 2; pass++) {
+            const parts = SharedUtils.getZonedParts(moment, timeZone);
+            if (!parts) {
+                return new Date(year, month - 1, day, hour, minute);
+            }
+            const shownAs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+            moment += wallClock - shownAs;
+        }
+        return new Date(moment);
+    }
+
+    /**
+     * Format a number of seconds as mm:ss, or h:mm:ss from an hour up (negative values show as 00:00)
+     */
+    static formatDuration(totalSeconds) {
+        const seconds = Math.max(0, Math.floor(totalSeconds || 0));
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const mmss = `${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+        return hours > 0 ? `${hours}:${mmss}` : mmss;
+    }
+
+    /**
+     * SLA level for a claim held this long: 'ok', 'warning' from the warning minutes, 'breach' from the breach minutes
+     */
+    static getSlaLevel(heldSeconds, warningMinutes, breachMinutes) {
+        if (heldSeconds === null || heldSeconds === undefined || !warningMinutes || !breachMinutes) {
             return '';
         }
+        if (heldSeconds >= breachMinutes * 60) {
+            return 'breach';
+        }
+        return heldSeconds >= warningMinutes * 60 ? 'warning' : 'ok';
     }
 
     static normalizeRecordId(recordId) {
@@ -72,10 +170,459 @@ export class SharedUtils {
 
     static get dueDateOptions() {
         return [
-            { label: 'All Dates', value: '' },
-            { label: 'Due Today', value: 'today' },
-            { label: 'Due This Week', value: 'thisWeek' },
-            { label: 'Due Next Week', value: 'nextWeek' }
+            { label: LABELS.allDates, value: '' },
+            { label: LABELS.dueToday, value: 'today' },
+            { label: LABELS.dueThisWeek, value: 'thisWeek' },
+            { label: LABELS.dueNextWeek, value: 'nextWeek' },
+            { label: LABELS.dueOverdue, value: 'overdue' },
+            { label: LABELS.dueNext2Hours, value: 'next2Hours' },
+            { label: LABELS.dueTomorrow, value: 'tomorrow' },
+            { label: LABELS.dueCustomRange, value: DUE_DATE_RANGE }
         ];
     }
+
+    /**
+     * A custom due date range travels as one filter value, 'range:<from>,<to>' with ISO date-times; either end may be blank
+     */
+    static buildDueDateRange(from, to) {
+        return `${DUE_DATE_RANGE}:${from || ''},${to || ''}`;
+    }
+
+    static parseDueDateRange(dueDateFilter) {
+        if (!SharedUtils.isDueDateRange(dueDateFilter)) {
+            return null;
+        }
+        const [from = '', to = ''] = dueDateFilter.slice(DUE_DATE_RANGE.length + 1).split(',');
+        return { from, to };
+    }
+
+    static isDueDateRange(dueDateFilter) {
+        return typeof dueDateFilter === 'string' && dueDateFilter.startsWith(`${DUE_DATE_RANGE}:`);
+    }
+}
+
+/**
+ * Tracks how close a claim is to expiring and which warning thresholds have already fired
+ */
+export class ClaimExpiryTracker {
+
+    constructor(warningMinutes = []) {
+        this.warned = new Set();
+        this.setWarningMinutes(warningMinutes);
+    }
+
+    setWarningMinutes(warningMinutes) {
+        this.warningMinutes = (Array.isArray(warningMinutes) ? warningMinutes : [])
+            .filter(minutes => minutes > 0)
+            .sort((a, b) => b - a);
+    }
+
+    getSecondsLeft(expiresAt, now = Date.now()) {
+        return expiresAt ? Math.floor((expiresAt - now) / 1000) : null;
+    }
+
+    /**
+     * '' until the first threshold, 'warning' inside it, 'critical' inside the last one
+     */
+    getLevel(secondsLeft) {
+        if (secondsLeft === null || !this.warningMinutes.length) {
+            return '';
+        }
+        const lastThreshold = this.warningMinutes[this.warningMinutes.length - 1];
+        if (this.warningMinutes.length > 1 && secondsLeft <= lastThreshold * 60) {
+            return 'critical';
+        }
+        return secondsLeft <= this.warningMinutes[0] * 60 ? 'warning' : '';
+    }
+
+    /**
+     * Returns the threshold (in minutes) just crossed for this claim, or null; each threshold fires once per expiry
+     */
+    checkThreshold(recordId, expiresAt, secondsLeft) {
+        if (secondsLeft === null || secondsLeft <= 0) {
+            return null;
+        }
+        const crossed = this.warningMinutes.filter(minutes => secondsLeft <= minutes * 60);
+        if (!crossed.length) {
+            return null;
+        }
+        const threshold = crossed[crossed.length - 1];
+        const key = `${recordId}:${expiresAt}:${threshold}`;
+        if (this.warned.has(key)) {
+            return null;
+        }
+        crossed.forEach(minutes => this.warned.add(`${recordId}:${expiresAt}:${minutes}`));
+        return threshold;
+    }
+
+    /**
+     * Marks a threshold and the ones before it as fired, e.g. when another component already showed the warning
+     */
+    markWarned(recordId, expiresAt, threshold) {
+        this.warningMinutes
+            .filter(minutes => minutes >= threshold)
+            .forEach(minutes => this.warned.add(`${recordId}:${expiresAt}:${minutes}`));
+    }
+}
+
+/**
+ * Actions published on the LeadQueueEvents message channel
+ */
+export const QUEUE_ACTIONS = {
+    CLAIM: 'claim',
+    NEXT: 'next',
+    RELEASE: 'release',
+    TRANSFER: 'transfer',
+    SKIP: 'skip',
+    RESCHEDULE: 'reschedule',
+    EXTEND: 'extend',
+    EXPIRY_WARNING: 'expiryWarning',
+    TRANSFER_RECEIVED: 'transferReceived',
+    ALERT: 'alert'
+};
+
+let messengerCount = 0;
+
+/**
+ * Publishes queue activity on the LeadQueueEvents message channel and listens for activity from other
+ * components in the app (utility bar, console tabs, record pages). Each component gets its own
+ * messenger, which skips the messages that component published itself.
+ */
+export class QueueMessenger {
+
+    constructor(messageContext) {
+        messengerCount++;
+        this.messageContext = messageContext;
+        this.sourceId = `lead-queue-${Date.now()}-${messengerCount}`;
+        this.subscription = null;
+    }
+
+    publish(action, recordIds = [], details = {}) {
+        if (!this.messageContext) {
+            return;
+        }
+        const ids = (Array.isArray(recordIds) ? recordIds : [recordIds]).filter(recordId => recordId);
+        publish(this.messageContext, LEAD_QUEUE_EVENTS, {
+            ...details,
+            action,
+            recordIds: ids,
+            userId: USER_ID,
+            sourceId: this.sourceId,
+            publishedAt: Date.now()
+        });
+    }
+
+    subscribe(handler) {
+        if (this.subscription || !this.messageContext) {
+            return;
+        }
+        this.subscription = subscribe(
+            this.messageContext,
+            LEAD_QUEUE_EVENTS,
+            message => {
+                if (message && message.sourceId !== this.sourceId) {
+                    handler(message);
+                }
+            },
+            { scope: APPLICATION_SCOPE }
+        );
+    }
+
+    unsubscribe() {
+        if (this.subscription) {
+            unsubscribe(this.subscription);
+            this.subscription = null;
+        }
+    }
+}
+
+/**
+ * Claim expiry warnings and the Extend action for the current user's claims, shared by the queue and the record
+ * page claim button. The component provides claimExpiryTracker, claimExpirations (expiry time by record Id),
+ * queueMessenger and showToast(title, message, variant). Each warning is shown once in the app: the component
+ * that shows it publishes EXPIRY_WARNING and the others mark that threshold as fired.
+ */
+export class ClaimExpiryNotifier {
+
+    /**
+     * getDisplayName(recordId) names the lead in the warning; without it the warning refers to "this record"
+     */
+    constructor(component, getDisplayName = null) {
+        this.component = component;
+        this.getDisplayName = getDisplayName;
+        this.expiredKeys = new Set();
+    }
+
+    /**
+     * Warn once per configured threshold for each claim; returns true when one of them has lapsed since the last check
+     */
+    checkWarnings(recordIds, now = Date.now()) {
+        const tracker = this.component.claimExpiryTracker;
+        const expirations = this.component.claimExpirations || {};
+        let hasNewlyExpiredClaim = false;
+        (recordIds || []).forEach(recordId => {
+            const expiresAt = expirations[recordId];
+            const secondsLeft = tracker.getSecondsLeft(expiresAt, now);
+            if (secondsLeft === null) {
+                return;
+            }
+            if (secondsLeft <= 0) {
+                const expiredKey = `${recordId}:${expiresAt}`;
+                if (!this.expiredKeys.has(expiredKey)) {
+                    this.expiredKeys.add(expiredKey);
+                    hasNewlyExpiredClaim = true;
+                }
+                return;
+            }
+            const threshold = tracker.checkThreshold(recordId, expiresAt, secondsLeft);
+            if (threshold !== null) {
+                this.warn(recordId, expiresAt, threshold);
+            }
+        });
+        return hasNewlyExpiredClaim;
+    }
+
+    warn(recordId, expiresAt, threshold) {
+        const minutesLabel = threshold === 1 ? LABELS.oneMinute : formatLabel(LABELS.minutes, threshold);
+        const displayName = this.getDisplayName ? this.getDisplayName(recordId) : null;
+        const message = displayName
+            ? formatLabel(LABELS.claimExpiringMessage, displayName, minutesLabel)
+            : formatLabel(LABELS.thisRecordClaimExpiring, minutesLabel);
+        this.component.showToast(LABELS.claimExpiringTitle, message, 'warning');
+        if (this.component.queueMessenger) {
+            this.component.queueMessenger.publish(QUEUE_ACTIONS.EXPIRY_WARNING, [recordId], { expiresAt, threshold });
+        }
+    }
+
+    /**
+     * Applies an extension or expiry warning from another component in the app. Returns true when the message
+     * was one of those, so the caller can skip its own handling.
+     */
+    handleQueueMessage(message) {
+        if (message.action !== QUEUE_ACTIONS.EXTEND && message.action !== QUEUE_ACTIONS.EXPIRY_WARNING) {
+            return false;
+        }
+        const recordIds = Array.isArray(message.recordIds) ? message.recordIds : [];
+        if (message.userId !== USER_ID || !message.expiresAt) {
+            return true;
+        }
+        if (message.action === QUEUE_ACTIONS.EXTEND) {
+            const expirations = { ...this.component.claimExpirations };
+            recordIds.forEach(recordId => {
+                expirations[recordId] = message.expiresAt;
+            });
+            this.component.claimExpirations = expirations;
+        } else {
+            recordIds.forEach(recordId => this.component.claimExpiryTracker.markWarned(recordId, message.expiresAt, message.threshold));
+        }
+        return true;
+    }
+
+    /**
+     * Extends one of the user's claims and tells the other components; returns whether it succeeded
+     */
+    async extend(recordId) {
+        try {
+            const result = await extendClaim({ recordId });
+            if (result && result.success) {
+                this.component.claimExpirations = { ...this.component.claimExpirations, [recordId]: result.expiresAt };
+                if (this.component.queueMessenger) {
+                    this.component.queueMessenger.publish(QUEUE_ACTIONS.EXTEND, [recordId], { expiresAt: result.expiresAt });
+                }
+                this.component.showToast(LABELS.success, formatLabel(LABELS.claimExtendedUntil, SharedUtils.formatTime(result.expiresAt)), 'success');
+                return true;
+            }
+            this.component.showToast(LABELS.warning, (result && result.message) || LABELS.unableToExtendClaim, 'warning');
+        } catch (error) {
+            this.component.showToast(LABELS.error, formatLabel(LABELS.extendClaimFailed, SharedUtils.getErrorMessage(error)), 'error');
+        }
+        return false;
+    }
+}
+
+export const CONNECTION_STATUS = {
+    LIVE: 'live',
+    RECONNECTING: 'reconnecting',
+    POLLING: 'polling'
+};
+
+const STATUS_LABELS = {
+    [CONNECTION_STATUS.LIVE]: LABELS.connectionLive,
+    [CONNECTION_STATUS.RECONNECTING]: LABELS.connectionReconnecting,
+    [CONNECTION_STATUS.POLLING]: LABELS.connectionPolling
+};
+
+const STATUS_TITLES = {
+    [CONNECTION_STATUS.LIVE]: LABELS.connectionLiveHelp,
+    [CONNECTION_STATUS.RECONNECTING]: LABELS.connectionReconnectingHelp,
+    [CONNECTION_STATUS.POLLING]: LABELS.connectionPollingHelp
+};
+
+const INITIAL_RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 60000;
+// Failed attempts before falling back to polling
+const RETRIES_BEFORE_POLLING = 2;
+
+// empApi reports streaming errors for every channel through one global handler, which can't be removed,
+// so it is registered once and passes errors on to the managers that are still connected
+const activeConnections = new Set();
+let isErrorHandlerRegistered = false;
+
+function handleStreamingError(error) {
+    activeConnections.forEach(manager => manager.handleStreamingError(error));
+}
+
+/**
+ * Keeps a LeadQueueRefresh__e subscription alive: reconnects with backoff when streaming drops, polls
+ * while it stays down, and tells the component once it is back so it can catch up on events missed in between.
+ * The component provides handleRefreshEvent(message), handleRefreshPoll() and handleConnectionRestored(),
+ * and gets a connectionStatus property.
+ */
+export class ConnectionManager {
+
+    constructor(component, channel) {
+        this.component = component;
+        this.channel = channel;
+        this.subscription = null;
+        this.failedAttempts = 0;
+        this.retryTimeout = null;
+        this.pollInterval = null;
+        this.isConnecting = false;
+        this.isStopped = false;
+    }
+
+    async connect() {
+        if (this.subscription || this.isConnecting || this.isStopped) {
+            return;
+        }
+        activeConnections.add(this);
+        if (!isErrorHandlerRegistered) {
+            isErrorHandlerRegistered = true;
+            onEmpError(handleStreamingError);
+        }
+        this.isConnecting = true;
+        try {
+            if (!await isEmpEnabled()) {
+                throw new Error('Streaming API is not available');
+            }
+            const subscription = await empSubscribe(this.channel, -1, message => this.component.handleRefreshEvent(message));
+            if (!subscription) {
+                throw new Error('Subscription was not created');
+            }
+            if (this.isStopped) {
+                empUnsubscribe(subscription, () => {});
+                return;
+            }
+            this.subscription = subscription;
+            this.handleConnected();
+        } catch (error) {
+            console.error('Failed to subscribe to Lead Queue refresh events:', error);
+            this.handleDisconnected();
+        } finally {
+            this.isConnecting = false;
+        }
+    }
+
+    disconnect() {
+        this.isStopped = true;
+        activeConnections.delete(this);
+        this.clearRetry();
+        this.stopPolling();
+        if (this.subscription) {
+            empUnsubscribe(this.subscription, () => {});
+            this.subscription = null;
+        }
+    }
+
+    /**
+     * Only reacts to errors for this channel or for the streaming connection as a whole
+     */
+    handleStreamingError(error) {
+        if (this.isStopped || !this.isChannelError(error)) {
+            return;
+        }
+        console.error('Lead Queue refresh event error:', error);
+        if (this.subscription) {
+            // Drop the broken subscription before retrying so it is not left registered alongside the new one
+            empUnsubscribe(this.subscription, () => {});
+            this.subscription = null;
+        }
+        this.handleDisconnected();
+    }
+
+    /**
+     * Subscription errors name the channel they are for; handshake and connect errors affect every channel
+     */
+    isChannelError(error) {
+        if (error?.subscription) {
+            return error.subscription === this.channel;
+        }
+        const channel = error?.channel;
+        return !channel || channel === this.channel || channel === '/meta/handshake' || channel === '/meta/connect';
+    }
+
+    handleConnected() {
+        const wasDisconnected = this.failedAttempts > 0;
+        this.failedAttempts = 0;
+        this.clearRetry();
+        this.stopPolling();
+        this.setStatus(CONNECTION_STATUS.LIVE);
+        if (wasDisconnected) {
+            // Events published while disconnected are not replayed
+            this.component.handleConnectionRestored();
+        }
+    }
+
+    handleDisconnected() {
+        if (this.retryTimeout || this.isStopped) {
+            return;
+        }
+        this.failedAttempts++;
+        if (this.failedAttempts > RETRIES_BEFORE_POLLING) {
+            this.startPolling();
+            this.setStatus(CONNECTION_STATUS.POLLING);
+        } else {
+            this.setStatus(CONNECTION_STATUS.RECONNECTING);
+        }
+        const delay = Math.min(INITIAL_RETRY_DELAY * 2 ** (this.failedAttempts - 1), MAX_RETRY_DELAY);
+        this.retryTimeout = setTimeout(() => {
+            this.retryTimeout = null;
+            this.connect();
+        }, delay);
+    }
+
+    startPolling() {
+        if (this.pollInterval) {
+            return;
+        }
+        this.pollInterval = setInterval(() => {
+            this.component.handleRefreshPoll();
+        }, SharedUtils.CONSTANTS.REFRESH_INTERVAL);
+    }
+
+    stopPolling() {
+        if (this.pollInterval) {
+            clearInterval(this.pollInterval);
+            this.pollInterval = null;
+        }
+    }
+
+    clearRetry() {
+        if (this.retryTimeout) {
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
+        }
+    }
+
+    setStatus(status) {
+        this.component.connectionStatus = status;
+    }
+
+    static getStatusLabel(status) {
+        return STATUS_LABELS[status] || STATUS_LABELS[CONNECTION_STATUS.RECONNECTING];
+    }
+
+    static getStatusTitle(status) {
+        return STATUS_TITLES[status] || STATUS_TITLES[CONNECTION_STATUS.RECONNECTING];
+    }
 }